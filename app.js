@@ -3,6 +3,57 @@
  * Captures GPS location, category, notes, photos and submits to Google Sheets
  */
 
+// IndexedDB database used for everything the app keeps on the device
+const DB_NAME = 'mappingApp';
+const DB_VERSION = 5;
+const DB_STORES = {
+    outbox: { keyPath: 'submission_id' },
+    tile_packs: { keyPath: 'id' },
+    drafts: { keyPath: 'submission_id' },
+    places: { keyPath: 'place_id' },
+    history: { keyPath: 'submission_id' }
+};
+
+// Cache Storage cache holding tiles from downloaded offline map packs
+const TILE_CACHE = 'mapping-app-tiles';
+
+// Item catalog used by the rapid entry table of each subcategory
+const RAPID_ENTRY_CATALOGS = {
+    price_item: 'price_items',
+    pharmacy_stock: 'meds_availability'
+};
+
+// GPS fixes to collect before a good one can end sampling early
+const GPS_MIN_SAMPLES = 3;
+
+// Walk survey entries sent per batch request (MAX_BATCH_SIZE in google-apps-script.js)
+const OUTBOX_BATCH_SIZE = 50;
+
+// Characters of a plus code (Open Location Code), in digit order
+const PLUS_CODE_ALPHABET = '23456789CFGHJMPQRVWX';
+
+// Icon shown for each category (and quick drop) code
+const CATEGORY_ICONS = {
+    'business_service': '🏪',
+    'public_community': '🏛️',
+    'social_services': '🤝',
+    'infrastructure_utility': '🔧',
+    'transport_travel': '🚢',
+    'environment_hazard': '⚠️',
+    'price_basket': '🛒',
+    'health_pharmacy': '💊',
+    'health_facility': '🏥',
+    'accessibility': '♿',
+    'plants_trees': '🌳',
+    'psip_project': '🏗️',
+    'internet_speed': '📶',
+    'water_air_soil': '💧',
+    'contacts_info': '📞',
+    'immediate_drops': '⚡',
+    'accessibility_check': '♿',
+    'other': '📍'
+};
+
 class MappingApp {
     constructor() {
         // Initialize app state
@@ -11,21 +62,72 @@ class MappingApp {
         this.map = null;
         this.marker = null;
         this.userLocationMarker = null;
-        this.formData = {
+        this.formData = this.getEmptyFormData();
+        this.allSubcategories = [];
+        this.islandList = [];
+        this.entryMode = 'map'; // 'map' or 'island'
+        this.deviceHash = '';
+        this.language = 'en';
+        this.strings = null;
+        this.fallbackStrings = null;
+        this.labels = {};
+        this.checklists = {};
+        this.catalogs = {};
+        this.islands = [];
+        this.islandOutlines = [];
+        this.landmarks = [];
+        this.gazetteer = [];
+        this.campaign = null;
+        this.campaignBoundaryLayer = null;
+        this.db = null;
+        this.outboxRetryTimer = null;
+        this.outboxSending = false;
+        this.draftQueue = Promise.resolve();
+        this.pendingDraft = null;
+        this.pendingThumbnailUrls = [];
+        this.visitPlaces = [];
+        this.locationWatchId = null;
+        this.locationSampleTimer = null;
+        this.geometryLayer = null;
+        this.geometryWatchId = null;
+        this.walkSession = null; // Walk survey in progress
+        this.walkFix = null;
+        this.walkWatchId = null;
+        this.walkMap = null;
+        this.walkLayer = null;
+        this.walkLocationMarker = null;
+        
+        // Defer initialization until DOM is ready
+    }
+
+    /**
+     * Form data for a new, empty entry
+     * @returns {Object} - Form data
+     */
+    getEmptyFormData() {
+        return {
             lat: null,
             lon: null,
             gps_accuracy_m: null,
+            gps_sample_count: null,
+            gps_method: '',
+            pin_moved: false,
+            location_source: '',
+            gps_lat: null,
+            gps_lon: null,
+            pin_origin: null,
+            drag_distance_m: null,
+            shape: 'point', // 'point', 'line' or 'area'
+            vertices: [], // [lon, lat] positions of a line or area
+            shape_tracked: false,
+            island: '',
+            atoll: '',
             category: '',
             subcategory: '',
             tags: [],
             notes: '',
             photos: []
         };
-        this.allSubcategories = [];
-        this.islandList = [];
-        this.entryMode = 'map'; // 'map' or 'island'
-        
-        // Defer initialization until DOM is ready
     }
 
     /**
@@ -43,21 +145,44 @@ class MappingApp {
             ]);
             
             this.prepareSearchData(); // Create the searchable list of subcategories
+            await this.loadChecklists();
+            await this.loadIslandOutlines();
+            await this.loadLandmarks();
+            this.buildGazetteer(); // Offline place search
+            this.campaign = this.loadCampaign(); // Survey drive from the URL or saved on the device
             console.log('Config loaded successfully');
+
+            // Interface language: the last one chosen on this device, or the default
+            await this.loadLanguage(this.getSavedLanguage());
+            this.populateLanguageSelect();
+
+            this.deviceHash = await this.computeDeviceHash();
             
             // Set up event listeners for all interactive elements
             this.setupEventListeners();
             console.log('Event listeners set up');
+
+            // Open local storage and resend anything left from earlier sessions
+            await this.initOutbox();
+            await this.updateCampaignProgress();
+
+            // Offer to pick up an entry the browser closed on
+            await this.offerDraftResume();
+
+            // Cache the app for offline use and watch for new versions
+            this.registerServiceWorker();
             
             console.log('Mapping app initialized successfully');
         } catch (error) {
             console.error('Failed to initialize app:', error);
-            this.showError('Failed to load app configuration. Please refresh the page.');
+            // The strings may not have loaded before the failure, so keep the English message to fall back on
+            const message = this.t('error_config');
+            this.showError(message !== 'error_config' ? message : 'Failed to load app configuration. Please refresh the page.');
         }
     }
 
     /**
-     * Load configuration from config.json file
+     * Load configuration from config.json file, then the item catalogs it lists
      */
     async loadConfig() {
         try {
@@ -71,6 +196,158 @@ class MappingApp {
             console.error('Error loading config:', error);
             throw error;
         }
+
+        await this.loadCatalogs();
+    }
+
+    /**
+     * Load the item catalogs listed under `catalogs` in config.json. The
+     * service worker fetches them network-first, so a new version is picked
+     * up on the next launch. A catalog that fails to load or does not match
+     * catalogs/catalog.schema.json falls back to the last good copy saved
+     * on this device.
+     */
+    async loadCatalogs() {
+        this.catalogs = {};
+
+        let schema = null;
+        try {
+            const response = await fetch('./catalogs/catalog.schema.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            schema = await response.json();
+        } catch (error) {
+            console.error('Error loading catalog schema:', error);
+        }
+
+        for (const [id, source] of Object.entries(this.config.catalogs || {})) {
+            try {
+                const response = await fetch(`./${source}`);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                const catalog = await response.json();
+
+                const problems = this.validateCatalog(catalog, id, schema);
+                if (problems.length > 0) {
+                    throw new Error(problems.join('; '));
+                }
+
+                this.catalogs[id] = catalog;
+                localStorage.setItem(`mappingAppCatalog:${id}`, JSON.stringify(catalog));
+                console.log(`Catalog loaded: ${id} version ${catalog.version}`);
+            } catch (error) {
+                console.error(`Error loading catalog ${id}:`, error);
+                this.catalogs[id] = this.getSavedCatalog(id);
+            }
+        }
+    }
+
+    /**
+     * Check a catalog against the catalog schema, and that its id matches
+     * the name it is listed under and its item names are unique
+     * @param {Object} catalog - Parsed catalog file
+     * @param {string} id - Name the catalog is listed under in config.json
+     * @param {Object|null} schema - Catalog schema, or null if it could not be loaded
+     * @returns {Array<string>} - Problems found, empty if the catalog is valid
+     */
+    validateCatalog(catalog, id, schema) {
+        const problems = schema ? this.checkAgainstSchema(catalog, schema, id) : [];
+        if (problems.length > 0) return problems;
+
+        if (catalog.id !== id) {
+            problems.push(`${id}.id is "${catalog.id}"`);
+        }
+
+        const seen = new Set();
+        (catalog.items || []).forEach(item => {
+            if (seen.has(item.name)) {
+                problems.push(`${id}.items has "${item.name}" more than once`);
+            }
+            seen.add(item.name);
+        });
+
+        return problems;
+    }
+
+    /**
+     * Check a value against the parts of JSON Schema used by
+     * catalog.schema.json: type, required, properties, items, minItems,
+     * minimum, minLength and pattern
+     * @param {*} value - Value to check
+     * @param {Object} schema - JSON Schema for the value
+     * @param {string} path - Where the value is, for the problem messages
+     * @returns {Array<string>} - Problems found, empty if the value matches
+     */
+    checkAgainstSchema(value, schema, path) {
+        const isType = {
+            object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+            array: v => Array.isArray(v),
+            integer: v => Number.isInteger(v),
+            number: v => typeof v === 'number',
+            string: v => typeof v === 'string',
+            boolean: v => typeof v === 'boolean'
+        };
+        if (schema.type && !isType[schema.type](value)) {
+            return [`${path} should be ${schema.type}`];
+        }
+
+        const problems = [];
+
+        if (isType.object(value)) {
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) problems.push(`${path}.${key} is missing`);
+            });
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                if (key in value) {
+                    problems.push(...this.checkAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+                }
+            });
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                problems.push(`${path} needs at least ${schema.minItems} items`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    problems.push(...this.checkAgainstSchema(item, schema.items, `${path}[${index}]`));
+                });
+            }
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                problems.push(`${path} is too short`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                problems.push(`${path} does not match ${schema.pattern}`);
+            }
+        }
+
+        if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+            problems.push(`${path} should be at least ${schema.minimum}`);
+        }
+
+        return problems;
+    }
+
+    /**
+     * Get the last good copy of a catalog saved on this device
+     * @param {string} id - Catalog name
+     * @returns {Object} - Saved catalog, or an empty one if there is none
+     */
+    getSavedCatalog(id) {
+        try {
+            const saved = localStorage.getItem(`mappingAppCatalog:${id}`);
+            if (saved) {
+                return JSON.parse(saved);
+            }
+        } catch (error) {
+            console.error(`Failed to read saved catalog ${id}:`, error);
+        }
+        return { id, version: 0, items: [] };
     }
 
     /**
@@ -91,6 +368,333 @@ class MappingApp {
         }
     }
 
+    /**
+     * Load the island outlines (a GeoJSON FeatureCollection named in
+     * config.json, one feature per island in islandlist.txt, with its atoll).
+     * Islands whose outline has not been filled in yet have a null geometry
+     * and are left out of the point lookups.
+     */
+    async loadIslandOutlines() {
+        this.islands = [];
+        this.islandOutlines = [];
+        if (!this.config.island_outlines) return;
+
+        try {
+            const response = await fetch(`./${this.config.island_outlines}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const outlines = await response.json();
+            this.islands = outlines.features || [];
+            this.islandOutlines = this.islands.filter(feature => feature.geometry);
+            console.log('Island outlines loaded:', this.islandOutlines.length, 'islands');
+        } catch (error) {
+            console.error('Error loading island outlines:', error);
+        }
+    }
+
+    /**
+     * Find the island a point falls on.
+     * Must match findIslandAt in google-apps-script.js.
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {string} - Island name, or empty if the point is on no outlined island
+     */
+    findIslandAt(lat, lon) {
+        const feature = this.islandOutlines.find(f => this.isPointInGeometry(lat, lon, f.geometry));
+        return feature ? feature.properties.name : '';
+    }
+
+    /**
+     * Get the island for a map point: the outline the point is on, or else
+     * the nearest outlined island within island_snap_m (for pins on the
+     * beach or the harbour wall), or else the island without an outline
+     * whose centroid is nearest, within island_centroid_snap_m
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {string} - Island name, or empty if none is close enough
+     */
+    locateIsland(lat, lon) {
+        const island = this.findIslandAt(lat, lon);
+        if (island) return island;
+
+        let nearest = '';
+        let nearestDistance = this.config.island_snap_m || 0;
+        const point = L.latLng(lat, lon);
+        this.islandOutlines.forEach(feature => {
+            const polygons = feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+            polygons.forEach(rings => rings[0].forEach(([vertexLon, vertexLat]) => {
+                const distance = point.distanceTo([vertexLat, vertexLon]);
+                if (distance <= nearestDistance) {
+                    nearest = feature.properties.name;
+                    nearestDistance = distance;
+                }
+            }));
+        });
+        if (nearest) return nearest;
+
+        // Must match findNearestIslandCentroid in google-apps-script.js
+        nearestDistance = this.config.island_centroid_snap_m || 0;
+        this.islands.forEach(feature => {
+            const centroid = feature.properties.centroid;
+            if (feature.geometry || !Array.isArray(centroid)) return;
+
+            const distance = point.distanceTo([centroid[1], centroid[0]]);
+            if (distance <= nearestDistance) {
+                nearest = feature.properties.name;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    /**
+     * Get the atoll an island belongs to
+     * @param {string} islandName - Island name as in islandlist.txt
+     * @returns {string} - Atoll code, e.g. 'HDh', or empty if unknown
+     */
+    getAtoll(islandName) {
+        const feature = this.islands.find(f => f.properties.name === islandName);
+        return feature && feature.properties.atoll ? feature.properties.atoll : '';
+    }
+
+    /**
+     * Get the bounding box of an island's outline
+     * @param {string} islandName - Island name
+     * @returns {L.LatLngBounds|null} - Bounds, or null if the island has no outline
+     */
+    getIslandBounds(islandName) {
+        const feature = this.islandOutlines.find(f => f.properties.name === islandName);
+        if (!feature) return null;
+
+        const polygons = feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+        const points = [];
+        polygons.forEach(rings => rings[0].forEach(([lon, lat]) => points.push([lat, lon])));
+        return L.latLngBounds(points);
+    }
+
+    /**
+     * Get the centroid of an island, used as the point of entries logged for
+     * the island by name: the centre of the largest polygon of its outline,
+     * or else the centroid given in its properties
+     * @param {string} islandName - Island name
+     * @returns {Object|null} - {lat, lon}, or null if the island has neither
+     */
+    getIslandCentroid(islandName) {
+        const feature = this.islandOutlines.find(f => f.properties.name === islandName);
+        if (!feature) {
+            const island = this.islands.find(f => f.properties.name === islandName);
+            const centroid = island && island.properties.centroid;
+            return Array.isArray(centroid) ? { lat: centroid[1], lon: centroid[0] } : null;
+        }
+
+        const polygons = feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+        let best = null;
+        polygons.forEach(rings => {
+            // Shoelace formula over the outer ring
+            const ring = rings[0];
+            let area = 0;
+            let x = 0;
+            let y = 0;
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const cross = ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+                area += cross;
+                x += (ring[j][0] + ring[i][0]) * cross;
+                y += (ring[j][1] + ring[i][1]) * cross;
+            }
+            if (area !== 0 && (!best || Math.abs(area) > best.area)) {
+                best = { area: Math.abs(area), lat: y / (3 * area), lon: x / (3 * area) };
+            }
+        });
+
+        return best ? { lat: best.lat, lon: best.lon } : null;
+    }
+
+    /**
+     * Check whether a point lies inside a GeoJSON Polygon or MultiPolygon,
+     * outside any of its holes
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {Object} geometry - GeoJSON geometry
+     * @returns {boolean} - True if the point is inside
+     */
+    isPointInGeometry(lat, lon, geometry) {
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+            : geometry.type === 'MultiPolygon' ? geometry.coordinates
+            : [];
+
+        return polygons.some(rings =>
+            this.isPointInRing(lon, lat, rings[0]) &&
+            !rings.slice(1).some(hole => this.isPointInRing(lon, lat, hole))
+        );
+    }
+
+    /**
+     * Ray-casting test of a point against one ring of [lon, lat] positions
+     * @param {number} x - Longitude
+     * @param {number} y - Latitude
+     * @param {Array<Array<number>>} ring - Closed ring of positions
+     * @returns {boolean} - True if the point is inside the ring
+     */
+    isPointInRing(x, y, ring) {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Check whether a point is the 0,0 a location defaults to when none was set
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {boolean} - True for a point at (or next to) 0,0
+     */
+    isNullIsland(lat, lon) {
+        return Math.abs(lat) < 0.001 && Math.abs(lon) < 0.001;
+    }
+
+    /**
+     * Pick the language to start in: the one chosen last time if it is
+     * still offered, otherwise the default from config.json
+     * @returns {string} - Language code
+     */
+    getSavedLanguage() {
+        let saved = null;
+        try {
+            saved = localStorage.getItem('mappingAppLanguage');
+        } catch (error) {
+            console.error('Failed to read saved language:', error);
+        }
+
+        const languages = this.config.languages || [];
+        return languages.some(language => language.code === saved) ? saved : this.config.language;
+    }
+
+    /**
+     * Load the string bundle for a language and apply it to the page.
+     * English is always loaded too, as the fallback for missing strings.
+     * @param {string} code - Language code, e.g. 'en' or 'dv'
+     */
+    async loadLanguage(code) {
+        const fetchBundle = async (bundleCode) => {
+            const response = await fetch(`./i18n/${bundleCode}.json`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            return response.json();
+        };
+
+        if (!this.fallbackStrings) {
+            this.fallbackStrings = (await fetchBundle('en')).strings;
+        }
+
+        try {
+            const bundle = code === 'en' ? { strings: this.fallbackStrings, labels: {} } : await fetchBundle(code);
+            this.strings = bundle.strings || {};
+            this.labels = bundle.labels || {};
+            this.language = code;
+        } catch (error) {
+            console.error(`Error loading language ${code}:`, error);
+            this.strings = this.fallbackStrings;
+            this.labels = {};
+            this.language = 'en';
+        }
+
+        const language = (this.config.languages || []).find(l => l.code === this.language);
+        const dir = language && language.dir === 'rtl' ? 'rtl' : 'ltr';
+        document.documentElement.lang = this.language;
+        document.documentElement.dir = dir;
+
+        // Bootstrap ships a separate stylesheet for right-to-left layouts
+        const bootstrapCss = document.getElementById('bootstrap-css');
+        if (bootstrapCss) {
+            bootstrapCss.href = dir === 'rtl'
+                ? 'vendor/bootstrap/bootstrap.rtl.min.css'
+                : 'vendor/bootstrap/bootstrap.min.css';
+        }
+
+        this.applyTranslations();
+        console.log('Language loaded:', this.language);
+    }
+
+    /**
+     * Switch the interface to another language and remember the choice
+     * @param {string} code - Language code
+     */
+    async setLanguage(code) {
+        try {
+            localStorage.setItem('mappingAppLanguage', code);
+        } catch (error) {
+            console.error('Failed to save language:', error);
+        }
+
+        await this.loadLanguage(code);
+
+        // Text set from code rather than from data-i18n attributes
+        this.setEntryMode(this.entryMode);
+        this.updateOutboxBadge();
+        this.renderTilePacks();
+    }
+
+    /**
+     * Fill the language switcher from the languages in config.json
+     */
+    populateLanguageSelect() {
+        const select = document.getElementById('language-select');
+        if (!select) return;
+
+        select.innerHTML = '';
+        (this.config.languages || []).forEach(language => {
+            const option = document.createElement('option');
+            option.value = language.code;
+            option.textContent = language.label;
+            select.appendChild(option);
+        });
+        select.value = this.language;
+    }
+
+    /**
+     * Set the text of every element marked with data-i18n (text) or
+     * data-i18n-placeholder (input placeholder) to the current language
+     */
+    applyTranslations() {
+        document.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = this.t(el.dataset.i18n);
+        });
+        document.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+            el.placeholder = this.t(el.dataset.i18nPlaceholder);
+        });
+    }
+
+    /**
+     * Look up an interface string in the current language
+     * @param {string} key - String key from the i18n bundles
+     * @param {Object} params - Values for {placeholders} in the string
+     * @returns {string} - Translated string, English if missing, or the key itself
+     */
+    t(key, params = {}) {
+        let text = (this.strings && this.strings[key]) || (this.fallbackStrings && this.fallbackStrings[key]) || key;
+        Object.keys(params).forEach(name => {
+            text = text.split(`{${name}}`).join(params[name]);
+        });
+        return text;
+    }
+
+    /**
+     * Translate a label from config.json (category, subcategory, tag,
+     * field or option). Bundles key these by the English label.
+     * @param {string} label - English label
+     * @returns {string} - Translated label, or the English one if not translated yet
+     */
+    translateLabel(label) {
+        return (this.labels && this.labels[label]) || label;
+    }
+
     /**
      * Set up all event listeners for user interactions
      */
@@ -101,6 +705,10 @@ class MappingApp {
             startBtn.addEventListener('click', (e) => {
                 e.preventDefault();
                 console.log('Start button clicked!');
+                // Any unfinished entry stays saved as a draft
+                this.hideDraftPrompt();
+                this.resetEntry();
+                this.getOrCreateDraftSubmissionId(); // Fix the submission ID when the draft is created
                 this.showScreen('location-screen');
                 this.setEntryMode('map'); // Default to map mode
                 this.requestLocation();
@@ -110,6 +718,78 @@ class MappingApp {
             console.error('Start button not found!');
         }
 
+        const walkBtn = document.getElementById('walk-btn');
+        if (walkBtn) {
+            walkBtn.addEventListener('click', () => {
+                this.startWalkSession();
+            });
+        } else {
+            console.error('Walk survey button not found!');
+        }
+
+        const walkUndoBtn = document.getElementById('walk-undo-btn');
+        if (walkUndoBtn) {
+            walkUndoBtn.addEventListener('click', () => {
+                this.undoWalkDrop();
+            });
+        } else {
+            console.error('Walk undo button not found!');
+        }
+
+        const walkFinishBtn = document.getElementById('walk-finish-btn');
+        if (walkFinishBtn) {
+            walkFinishBtn.addEventListener('click', () => {
+                this.finishWalkSession();
+            });
+        } else {
+            console.error('Walk finish button not found!');
+        }
+
+        const draftResumeBtn = document.getElementById('draft-resume-btn');
+        if (draftResumeBtn) {
+            draftResumeBtn.addEventListener('click', () => this.resumeDraft(this.pendingDraft));
+        } else {
+            console.error('Draft resume button not found!');
+        }
+
+        const draftDiscardBtn = document.getElementById('draft-discard-btn');
+        if (draftDiscardBtn) {
+            draftDiscardBtn.addEventListener('click', () => this.discardDraft());
+        } else {
+            console.error('Draft discard button not found!');
+        }
+
+        const pendingBtn = document.getElementById('pending-btn');
+        if (pendingBtn) {
+            pendingBtn.addEventListener('click', () => this.showPendingEntries());
+        } else {
+            console.error('Pending entries button not found!');
+        }
+
+        const backFromPendingBtn = document.getElementById('back-from-pending');
+        if (backFromPendingBtn) {
+            backFromPendingBtn.addEventListener('click', () => this.showScreen('start-screen'));
+        } else {
+            console.error('Back from pending button not found!');
+        }
+
+        const resetDeviceIdLink = document.getElementById('reset-device-id-link');
+        if (resetDeviceIdLink) {
+            resetDeviceIdLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.resetDeviceId();
+            });
+        } else {
+            console.error('Reset device ID link not found!');
+        }
+
+        const languageSelect = document.getElementById('language-select');
+        if (languageSelect) {
+            languageSelect.addEventListener('change', (e) => this.setLanguage(e.target.value));
+        } else {
+            console.error('Language select not found!');
+        }
+
         const manualInitBtn = document.getElementById('manual-init-btn');
         if (manualInitBtn) {
             manualInitBtn.addEventListener('click', () => this.init());
@@ -146,32 +826,102 @@ class MappingApp {
             console.error('Manual search button not found!');
         }
 
-        const searchBtn = document.getElementById('search-btn');
-        if (searchBtn) {
-            searchBtn.addEventListener('click', () => {
-                this.performSearch();
+        const tilePacksBtn = document.getElementById('tile-packs-btn');
+        if (tilePacksBtn) {
+            tilePacksBtn.addEventListener('click', () => {
+                this.toggleTilePacks();
             });
         } else {
-            console.error('Search button not found!');
+            console.error('Offline maps button not found!');
         }
 
-        const confirmLocationBtn = document.getElementById('confirm-location-btn');
-        if (confirmLocationBtn) {
-            confirmLocationBtn.addEventListener('click', () => {
-                this.confirmLocation();
+        const campaignLeaveBtn = document.getElementById('campaign-leave-btn');
+        if (campaignLeaveBtn) {
+            campaignLeaveBtn.addEventListener('click', () => {
+                this.leaveCampaign();
             });
         } else {
-            console.error('Confirm location button not found!');
+            console.error('Leave campaign button not found!');
         }
 
-        // Category popup elements
-        const closePopupBtn = document.getElementById('close-popup');
-        if (closePopupBtn) {
-			closePopupBtn.addEventListener('click', () => {
-				// If user has typed in the popup search, treat the header "×" as a
-				// quick way to clear the search and return to the category grid,
-				// instead of closing the entire popup. This matches the common user
-				// expectation when they want to exit search results.
+        const myPinsBtn = document.getElementById('my-pins-btn');
+        if (myPinsBtn) {
+            myPinsBtn.addEventListener('click', () => {
+                this.toggleMyPins();
+            });
+        } else {
+            console.error('My pins button not found!');
+        }
+
+        // Point, line or area
+        document.querySelectorAll('#geometry-mode [data-geometry]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setGeometryMode(button.dataset.geometry);
+            });
+        });
+
+        const geometryTrackBtn = document.getElementById('geometry-track-btn');
+        if (geometryTrackBtn) {
+            geometryTrackBtn.addEventListener('click', () => {
+                this.toggleGeometryTracking();
+            });
+        } else {
+            console.error('Geometry track button not found!');
+        }
+
+        const geometryUndoBtn = document.getElementById('geometry-undo-btn');
+        if (geometryUndoBtn) {
+            geometryUndoBtn.addEventListener('click', () => {
+                this.undoGeometryVertex();
+            });
+        } else {
+            console.error('Geometry undo button not found!');
+        }
+
+        const geometryClearBtn = document.getElementById('geometry-clear-btn');
+        if (geometryClearBtn) {
+            geometryClearBtn.addEventListener('click', () => {
+                this.clearGeometry();
+            });
+        } else {
+            console.error('Geometry clear button not found!');
+        }
+
+        const tilePackDownloadBtn = document.getElementById('tile-pack-download-btn');
+        if (tilePackDownloadBtn) {
+            tilePackDownloadBtn.addEventListener('click', () => {
+                this.downloadTilePack();
+            });
+        } else {
+            console.error('Offline map download button not found!');
+        }
+
+        const searchBtn = document.getElementById('search-btn');
+        if (searchBtn) {
+            searchBtn.addEventListener('click', () => {
+                this.performSearch();
+            });
+        } else {
+            console.error('Search button not found!');
+        }
+
+        const confirmLocationBtn = document.getElementById('confirm-location-btn');
+        if (confirmLocationBtn) {
+            confirmLocationBtn.addEventListener('click', () => {
+                this.confirmLocation();
+            });
+        } else {
+            console.error('Confirm location button not found!');
+        }
+
+        // Category popup elements
+        const closePopupBtn = document.getElementById('close-popup');
+        if (closePopupBtn) {
+			closePopupBtn.addEventListener('click', () => {
+				// If user has typed in the popup search, treat the header "×" as a
+				// quick way to clear the search and return to the category grid,
+				// instead of closing the entire popup. This matches the common user
+				// expectation when they want to exit search results.
 				const searchInputEl = document.getElementById('category-search-input');
 				const resultsContainer = document.getElementById('search-results-container');
 				const isShowingResults = resultsContainer && resultsContainer.style.display === 'block';
@@ -200,6 +950,15 @@ class MappingApp {
             console.error('Subcategory select not found!');
         }
 
+        const visitSelect = document.getElementById('visit-select');
+        if (visitSelect) {
+            visitSelect.addEventListener('change', (e) => {
+                this.selectVisitPlace(e.target.value);
+            });
+        } else {
+            console.error('Visit select not found!');
+        }
+
         const notesInput = document.getElementById('notes-input');
         if (notesInput) {
             notesInput.addEventListener('input', (e) => {
@@ -319,6 +1078,10 @@ class MappingApp {
                     this.performSearch();
                 }
             });
+            // List matching places while typing
+            searchInput.addEventListener('input', () => {
+                this.showPlaceResults(searchInput.value.trim());
+            });
         } else {
             console.error('Search input not found!');
         }
@@ -327,8 +1090,9 @@ class MappingApp {
     /**
      * Show a specific screen and hide others
      * @param {string} screenId - ID of the screen to show
+     * @param {Object} options - skipCategoryPopup: don't open the category popup on the form screen
      */
-    showScreen(screenId) {
+    showScreen(screenId, options = {}) {
         console.log('Showing screen:', screenId);
         
         // Hide all screens
@@ -349,66 +1113,206 @@ class MappingApp {
         if (screenId === 'form-screen') {
             this.loadFormData();
             // Show category popup immediately when form screen loads
-            setTimeout(() => {
-                this.showCategoryPopup();
-            }, 100);
+            if (!options.skipCategoryPopup) {
+                setTimeout(() => {
+                    this.showCategoryPopup();
+                }, 100);
+            }
         }
     }
 
     /**
-     * Request user's current location using GPS
+     * Request user's current location using GPS. Fixes are collected for a
+     * few seconds (`gps_sample_ms` in config.json) and averaged, with the
+     * accuracy shown as it improves.
      */
     requestLocation() {
         if (!navigator.geolocation) {
-            this.showError('Geolocation is not supported by this browser.');
+            this.showError(this.t('error_no_geolocation'));
             return;
         }
 
+        this.stopLocationSampling();
+
         // Show loading state
         const button = document.getElementById('recenter-btn');
-        const originalText = button.textContent;
-        button.textContent = 'Getting location...';
+        button.textContent = this.t('getting_location');
         button.disabled = true;
 
+        const samples = [];
+        let expired = false;
+
+        const finish = () => {
+            this.stopLocationSampling();
+            button.textContent = this.t('recenter');
+            button.disabled = false;
+            this.updateGpsQuality(false);
+        };
+
         const options = {
             enableHighAccuracy: true,
             timeout: 10000,
-            maximumAge: 300000 // 5 minutes
+            maximumAge: 0 // Fresh fixes only, or the average is of stale ones
         };
 
-        navigator.geolocation.getCurrentPosition(
+        this.locationWatchId = navigator.geolocation.watchPosition(
             (position) => {
-                this.handleLocationSuccess(position);
-                button.textContent = originalText;
-                button.disabled = false;
+                samples.push(position);
+                const fix = this.averageLocationSamples(samples);
+                this.handleLocationSuccess({ coords: fix }, samples.length);
+                this.updateGpsQuality(true);
+
+                // Stop early once the fix is good enough
+                const goodFix = samples.length >= GPS_MIN_SAMPLES && fix.accuracy <= (this.config.gps_target_accuracy_m || 0);
+                if (expired || goodFix) {
+                    finish();
+                }
             },
             (error) => {
-                this.handleLocationError(error);
-                button.textContent = originalText;
-                button.disabled = false;
+                finish();
+                if (samples.length === 0) {
+                    this.handleLocationError(error);
+                }
             },
             options
         );
+
+        // Wait on for the first fix if none has come yet
+        this.locationSampleTimer = setTimeout(() => {
+            expired = true;
+            if (samples.length > 0) {
+                finish();
+            }
+        }, this.config.gps_sample_ms || 8000);
+    }
+
+    /**
+     * Stop collecting GPS fixes
+     */
+    stopLocationSampling() {
+        if (this.locationWatchId !== null) {
+            navigator.geolocation.clearWatch(this.locationWatchId);
+            this.locationWatchId = null;
+        }
+        clearTimeout(this.locationSampleTimer);
+    }
+
+    /**
+     * Average the GPS fixes that agree with the best one. Fixes much less
+     * accurate than the best, or too far from it to be the same spot, are
+     * left out, and the rest are weighted by their accuracy.
+     * @param {Array<GeolocationPosition>} samples - Fixes collected so far
+     * @returns {Object} - latitude, longitude and accuracy in metres
+     */
+    averageLocationSamples(samples) {
+        const best = samples.reduce((a, b) => (b.coords.accuracy < a.coords.accuracy ? b : a)).coords;
+
+        const cluster = samples.map(sample => sample.coords).filter(coords =>
+            coords.accuracy <= best.accuracy * 2
+            && L.latLng(coords.latitude, coords.longitude).distanceTo([best.latitude, best.longitude])
+                <= coords.accuracy + best.accuracy
+        );
+
+        let latitude = 0;
+        let longitude = 0;
+        let totalWeight = 0;
+        cluster.forEach(coords => {
+            const weight = 1 / Math.pow(Math.max(coords.accuracy, 1), 2);
+            latitude += coords.latitude * weight;
+            longitude += coords.longitude * weight;
+            totalWeight += weight;
+        });
+
+        // Readings from one phone share their errors, so claim no better than the best one
+        return {
+            latitude: latitude / totalWeight,
+            longitude: longitude / totalWeight,
+            accuracy: best.accuracy
+        };
+    }
+
+    /**
+     * Whether the pin was deliberately placed by hand: dragged at least
+     * pin_drag_min_m from where the fix or search put it, not just nudged.
+     * A drag with no known origin cannot show that, so it does not count.
+     * @returns {boolean} - True if the GPS accuracy no longer applies
+     */
+    isPinPlacedByHand() {
+        if (!this.formData.pin_moved || this.formData.drag_distance_m === null) return false;
+        return this.formData.drag_distance_m >= (this.config.pin_drag_min_m || 0);
+    }
+
+    /**
+     * Show how good the GPS fix is against the thresholds in config.json
+     * @param {boolean} sampling - Whether fixes are still being collected
+     */
+    updateGpsQuality(sampling) {
+        const qualityDisplay = document.getElementById('gps-quality');
+        if (!qualityDisplay) {
+            console.error('GPS quality display not found!');
+            return;
+        }
+
+        const accuracy = this.formData.gps_accuracy_m;
+        const count = this.formData.gps_sample_count;
+        let text = '';
+        let level = '';
+
+        if (this.isPinPlacedByHand()) {
+            text = this.t('gps_pin_moved');
+        } else if (!this.formData.gps_method) {
+            text = '';
+        } else if (sampling) {
+            text = this.t('gps_improving', { count });
+        } else if (accuracy > (this.config.gps_max_accuracy_m || Infinity)) {
+            text = this.t('gps_too_weak', { count });
+            level = 'text-danger';
+        } else if (accuracy > (this.config.gps_warn_accuracy_m || Infinity)) {
+            text = this.t('gps_weak', { count });
+            level = 'text-warning';
+        } else {
+            text = this.t('gps_good', { count });
+            level = 'text-success';
+        }
+
+        qualityDisplay.textContent = text;
+        qualityDisplay.classList.remove('text-danger', 'text-warning', 'text-success');
+        if (level) {
+            qualityDisplay.classList.add(level);
+        }
     }
 
     /**
      * Handle successful GPS location retrieval
-     * @param {GeolocationPosition} position - GPS position data
+     * @param {GeolocationPosition} position - GPS position data, or the average of several
+     * @param {number} sampleCount - GPS fixes averaged, 0 for a point typed into the search box
      */
-    handleLocationSuccess(position) {
-        const { latitude, longitude, accuracy } = position.coords;
+    handleLocationSuccess(position, sampleCount = 0) {
+        const { latitude, longitude } = position.coords;
+        const isGps = sampleCount > 0;
+        const accuracy = isGps ? position.coords.accuracy : null; // A typed point has no accuracy
         
         // Store location data
         this.currentLocation = { lat: latitude, lon: longitude, accuracy: accuracy };
         this.formData.lat = latitude;
         this.formData.lon = longitude;
-        this.formData.gps_accuracy_m = Math.round(accuracy);
+        this.formData.gps_accuracy_m = isGps ? Math.round(accuracy) : null;
+        this.formData.gps_sample_count = sampleCount || null;
+        this.formData.gps_method = sampleCount > 1 ? 'averaged' : sampleCount === 1 ? 'single' : '';
+        this.formData.pin_moved = false;
+
+        // Where the point came from, kept as it was if the pin is dragged later
+        this.formData.location_source = isGps ? 'gps' : 'typed';
+        this.formData.gps_lat = isGps ? latitude : null;
+        this.formData.gps_lon = isGps ? longitude : null;
+        this.formData.pin_origin = { lat: latitude, lon: longitude };
+        this.formData.drag_distance_m = null;
 
         // Update display
         this.updateLocationDisplay(latitude, longitude, accuracy);
 
-        // Initialize or update map
-        this.initializeMap(latitude, longitude);
+        // Initialize or update map, keeping the user's zoom while the fix improves
+        this.initializeMap(latitude, longitude, sampleCount > 1);
 
         console.log('Location obtained:', this.currentLocation);
     }
@@ -418,20 +1322,20 @@ class MappingApp {
      * @param {GeolocationPositionError} error - GPS error
      */
     handleLocationError(error) {
-        let message = 'Unable to get your location. ';
+        let message = this.t('error_location') + ' ';
         
         switch(error.code) {
             case error.PERMISSION_DENIED:
-                message += 'Please allow location access and try again.';
+                message += this.t('error_location_denied');
                 break;
             case error.POSITION_UNAVAILABLE:
-                message += 'Location information is unavailable.';
+                message += this.t('error_location_unavailable');
                 break;
             case error.TIMEOUT:
-                message += 'Location request timed out.';
+                message += this.t('error_location_timeout');
                 break;
             default:
-                message += 'An unknown error occurred.';
+                message += this.t('error_location_unknown');
                 break;
         }
         
@@ -443,30 +1347,55 @@ class MappingApp {
      * Update the location display with coordinates and accuracy
      * @param {number} lat - Latitude
      * @param {number} lon - Longitude  
-     * @param {number} accuracy - GPS accuracy in meters
+     * @param {number|null} accuracy - GPS accuracy in meters, null for a typed point
      */
     updateLocationDisplay(lat, lon, accuracy) {
         document.getElementById('lat-display').textContent = lat.toFixed(6);
         document.getElementById('lon-display').textContent = lon.toFixed(6);
-        document.getElementById('accuracy-display').textContent = `±${Math.round(accuracy)} m`;
+        document.getElementById('accuracy-display').textContent = accuracy === null || accuracy === undefined
+            ? '--'
+            : `±${Math.round(accuracy)} m`;
+
+        // Name the island under the pin, or warn when it is on none of the outlines
+        const islandDisplay = document.getElementById('island-display');
+        if (islandDisplay) {
+            const island = this.locateIsland(lat, lon);
+            const offIsland = !this.findIslandAt(lat, lon) && (this.islandOutlines.length > 0 || this.isNullIsland(lat, lon));
+            islandDisplay.textContent = offIsland
+                ? [island, this.t('off_island')].filter(Boolean).join(' · ')
+                : island || '--';
+            islandDisplay.classList.toggle('text-danger', offIsland);
+        }
     }
 
     /**
      * Initialize Leaflet map with user location
      * @param {number} lat - Latitude
      * @param {number} lon - Longitude
+     * @param {boolean} keepView - Move the markers without recentring the map
      */
-    initializeMap(lat, lon) {
+    initializeMap(lat, lon, keepView = false) {
         // Initialize map if not already done
         if (!this.map) {
             this.map = L.map('map').setView([lat, lon], 16);
             
-            // Add OpenStreetMap tiles
-            L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-                attribution: '© OpenStreetMap contributors',
-                maxZoom: 19
-            }).addTo(this.map);
-        } else {
+            // Add OpenStreetMap tiles, using downloaded map packs when available
+            this.createTileLayer().addTo(this.map);
+
+            // Entries already made on this device, to avoid mapping them twice
+            this.myPinsLayer = L.layerGroup().addTo(this.map);
+            this.renderMyPins();
+
+            // Lines and areas are drawn by tapping the map
+            this.geometryLayer = L.layerGroup().addTo(this.map);
+            this.map.on('click', (e) => {
+                if (this.isShapeEntry() && this.geometryWatchId === null) {
+                    this.addGeometryVertex(e.latlng.lat, e.latlng.lng);
+                }
+            });
+
+            this.drawCampaignBoundary();
+        } else if (!keepView) {
             // Update map view to new location
             this.map.setView([lat, lon], 16);
         }
@@ -485,7 +1414,7 @@ class MappingApp {
             
             this.userLocationMarker = L.marker([lat, lon], { icon: userIcon })
                 .addTo(this.map)
-                .bindPopup('You are here');
+                .bindPopup(this.t('you_are_here'));
         }
 
         // Add or update draggable pin marker
@@ -510,1488 +1439,3947 @@ class MappingApp {
                 const newPos = e.target.getLatLng();
                 this.formData.lat = newPos.lat;
                 this.formData.lon = newPos.lng;
+                this.formData.pin_moved = true;
+                this.formData.location_source = 'dragged';
+                const origin = this.formData.pin_origin;
+                this.formData.drag_distance_m = origin
+                    ? Math.round(newPos.distanceTo([origin.lat, origin.lon]))
+                    : null;
+                this.stopLocationSampling(); // New fixes would move the pin back
                 this.updateLocationDisplay(newPos.lat, newPos.lng, this.formData.gps_accuracy_m);
+                this.updateGpsQuality(false);
             });
         }
-    }
 
-    /**
-     * Toggle manual search input visibility
-     */
-    toggleManualSearch() {
-        const searchDiv = document.getElementById('manual-search');
-        const isVisible = searchDiv.style.display !== 'none';
-        searchDiv.style.display = isVisible ? 'none' : 'block';
-        
-        if (!isVisible) {
-            document.getElementById('search-input').focus();
+        // Lines and areas have no pin
+        if (this.isShapeEntry()) {
+            this.marker.remove();
         }
+        this.drawGeometry();
     }
 
     /**
-     * Perform search for place or coordinates
+     * Switch between dropping a point and drawing a line or area. Vertices
+     * already drawn are kept, so a line can be turned into an area.
+     * @param {string} shape - 'point', 'line' or 'area'
      */
-    performSearch() {
-        const query = document.getElementById('search-input').value.trim();
-        
-        if (!query) {
-            this.showError('Please enter a search term or coordinates.');
-            return;
+    setGeometryMode(shape) {
+        this.formData.shape = shape;
+        const isShape = this.isShapeEntry();
+
+        document.querySelectorAll('#geometry-mode [data-geometry]').forEach(button => {
+            button.classList.toggle('active', button.dataset.geometry === shape);
+        });
+
+        const tools = document.getElementById('geometry-tools');
+        if (tools) {
+            tools.style.display = isShape ? 'block' : 'none';
         }
 
-        // Check if input looks like coordinates (lat,lon format)
-        const coordMatch = query.match(/^(-?\d+\.?\d*),\s*(-?\d+\.?\d*)$/);
-        
-        if (coordMatch) {
-            // Direct coordinate input
-            const lat = parseFloat(coordMatch[1]);
-            const lon = parseFloat(coordMatch[2]);
-            
-            if (lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180) {
-                this.handleLocationSuccess({
-                    coords: { latitude: lat, longitude: lon, accuracy: 0 }
-                });
-                document.getElementById('manual-search').style.display = 'none';
-                document.getElementById('search-input').value = '';
+        // The pin only stands for point entries
+        if (this.marker && this.map) {
+            if (isShape) {
+                this.marker.remove();
             } else {
-                this.showError('Invalid coordinates. Please use format: lat,lon');
+                this.marker.addTo(this.map);
             }
-        } else {
-            // Place name search (simplified - would need geocoding service in production)
-            this.showError('Place search not implemented. Please use coordinates (lat,lon) format.');
         }
-    }
 
-    /**
-     * Confirm current location and proceed to form
-     */
-    confirmLocation() {
-        if (this.entryMode === 'map') {
-            if (!this.formData.lat || !this.formData.lon) {
-                this.showError('Please select a location first.');
-                return;
-            }
-        } else { // island mode
-            const islandSelect = document.getElementById('island-select');
-            const selectedIsland = islandSelect.value;
-            if (!selectedIsland) {
-                this.showError('Please select an island.');
-                return;
-            }
-            this.formData.lat = selectedIsland;
-            this.formData.lon = 'ISLAND_ENTRY';
-            this.formData.gps_accuracy_m = null;
+        if (!isShape) {
+            this.stopGeometryTracking();
         }
-
-        // Save current state to draft
-        this.saveDraft();
-        
-        // Move to form screen (popup will show automatically)
-        this.showScreen('form-screen');
+        this.drawGeometry();
     }
 
     /**
-     * Sets the data entry mode ('map' or 'island') and updates the UI.
-     * @param {string} mode - The mode to switch to.
+     * Whether the entry is a line or area rather than a point
+     * @returns {boolean} - True for lines and areas
      */
-    setEntryMode(mode) {
-        this.entryMode = mode;
-
-        const mapContainer = document.getElementById('map-mode-container');
-        const islandContainer = document.getElementById('island-mode-container');
-        const toggleBtn = document.getElementById('toggle-entry-mode-btn');
-        const title = document.getElementById('location-screen-title');
-        const subtitle = document.getElementById('location-screen-subtitle');
-
-        if (mode === 'island') {
-            mapContainer.style.display = 'none';
-            islandContainer.style.display = 'block';
-            toggleBtn.textContent = 'Use map instead';
-            title.textContent = 'Select an Island';
-            subtitle.textContent = 'Choose the island you are logging data for.';
-            this.populateIslandList();
-        } else { // map mode
-            mapContainer.style.display = 'block';
-            islandContainer.style.display = 'none';
-            toggleBtn.textContent = 'Or, log for an island by name';
-            title.textContent = 'Confirm your location';
-            subtitle.textContent = 'We use your GPS to place a pin. Move the pin if needed.';
-        }
+    isShapeEntry() {
+        return this.formData.shape === 'line' || this.formData.shape === 'area';
     }
 
     /**
-     * Show category selection popup
+     * Add a vertex to the line or area being drawn
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
      */
-    showCategoryPopup() {
-        console.log('Showing category popup...');
-        const popup = document.getElementById('category-popup');
-        if (popup) {
-            popup.style.display = 'flex';
-            this.loadCategoryGrid();
-            console.log('Category popup should be visible now');
-        } else {
-            console.error('Category popup element not found!');
+    addGeometryVertex(lat, lon) {
+        const vertices = this.formData.vertices || (this.formData.vertices = []);
+        if (vertices.length >= (this.config.geometry_max_vertices || Infinity)) {
+            this.stopGeometryTracking();
+            this.showError(this.t('error_geometry_max_vertices', { max: this.config.geometry_max_vertices }));
+            return;
         }
+
+        vertices.push([lon, lat]); // GeoJSON order
+        this.drawGeometry();
     }
 
     /**
-     * Populates the island selection dropdown.
+     * Remove the last vertex drawn
      */
-    populateIslandList() {
-        const islandSelect = document.getElementById('island-select');
-        if (!islandSelect) return;
-
-        islandSelect.innerHTML = '<option value="">Select an island...</option>'; // Clear existing options
-
-        this.islandList.forEach(islandName => {
-            const option = document.createElement('option');
-            option.value = islandName;
-            option.textContent = islandName;
-            islandSelect.appendChild(option);
-        });
+    undoGeometryVertex() {
+        (this.formData.vertices || []).pop();
+        this.drawGeometry();
     }
 
     /**
-     * Hide category selection popup
+     * Remove every vertex drawn
      */
-    hideCategoryPopup() {
-        document.getElementById('category-popup').style.display = 'none';
+    clearGeometry() {
+        this.stopGeometryTracking();
+        this.formData.vertices = [];
+        this.formData.shape_tracked = false;
+        this.drawGeometry();
     }
 
     /**
-     * Load category grid with icons
+     * Start or stop adding vertices from GPS while the user walks the line
+     * or around the area. Fixes worse than `gps_warn_accuracy_m`, or closer
+     * than `geometry_track_min_m` to the last vertex, are skipped.
      */
-    loadCategoryGrid() {
-        console.log('Loading category grid...');
-        const quickDropContainer = document.getElementById('quick-drop-grid');
-        const regularContainer = document.getElementById('category-grid');
-
-        if (!quickDropContainer || !regularContainer) {
-            console.error('Category grid containers not found!');
+    toggleGeometryTracking() {
+        if (this.geometryWatchId !== null) {
+            this.stopGeometryTracking();
             return;
         }
-        
-        quickDropContainer.innerHTML = '';
-        regularContainer.innerHTML = '';
+        if (!navigator.geolocation) {
+            this.showError(this.t('error_no_geolocation'));
+            return;
+        }
+
+        this.stopLocationSampling();
 
-        // Category icons mapping
-        const categoryIcons = {
-            'business_service': '🏪',
-            'public_community': '🏛️',
-            'social_services': '🤝',
-            'infrastructure_utility': '🔧',
-            'transport_travel': '🚢',
-            'environment_hazard': '⚠️',
-            'price_basket': '🛒',
-            'health_pharmacy': '💊',
-            'health_facility': '🏥',
-            'accessibility': '♿',
-            'plants_trees': '🌳',
-            'psip_project': '🏗️',
-            'internet_speed': '📶',
-            'water_air_soil': '💧',
-            'contacts_info': '📞',
-            'immediate_drops': '⚡',
-            'accessibility_check': '♿',
-            'other': '📍'
+        const options = {
+            enableHighAccuracy: true,
+            timeout: 10000,
+            maximumAge: 0
         };
 
-        const quickDropCategory = this.config.categories.find(c => c.code === 'immediate_drops');
-        if (quickDropCategory && quickDropCategory.subcategories) {
-            quickDropCategory.subcategories.forEach(subcat => {
-                const quickDropItem = document.createElement('div');
-                quickDropItem.className = 'category-item quick-drop-item';
-                quickDropItem.onclick = () => this.handleQuickDropSelect(quickDropCategory, subcat);
+        this.geometryWatchId = navigator.geolocation.watchPosition(
+            (position) => {
+                const { latitude, longitude, accuracy } = position.coords;
+                if (accuracy > (this.config.gps_warn_accuracy_m || Infinity)) return;
 
-                const icon = document.createElement('div');
-                icon.className = 'category-item-icon';
-                icon.textContent = categoryIcons[subcat.code] || '⚡';
+                const vertices = this.formData.vertices || [];
+                const last = vertices[vertices.length - 1];
+                if (last && L.latLng(latitude, longitude).distanceTo([last[1], last[0]]) < (this.config.geometry_track_min_m || 0)) {
+                    return;
+                }
 
-                const label = document.createElement('div');
-                label.className = 'category-item-label';
-                label.textContent = subcat.label;
+                this.formData.shape_tracked = true;
+                this.addGeometryVertex(latitude, longitude);
+                if (this.map) {
+                    this.map.panTo([latitude, longitude]);
+                }
+            },
+            (error) => {
+                // A fix can time out under trees; keep tracking unless GPS was refused
+                if (error.code === error.PERMISSION_DENIED) {
+                    this.stopGeometryTracking();
+                    this.handleLocationError(error);
+                } else {
+                    console.warn('Tracking fix skipped:', error);
+                }
+            },
+            options
+        );
 
-                quickDropItem.appendChild(icon);
-                quickDropItem.appendChild(label);
-                quickDropContainer.appendChild(quickDropItem);
-            });
+        const trackBtn = document.getElementById('geometry-track-btn');
+        if (trackBtn) {
+            trackBtn.textContent = this.t('geometry_track_stop');
+            trackBtn.classList.add('active');
         }
+    }
 
+    /**
+     * Stop adding vertices from GPS
+     */
+    stopGeometryTracking() {
+        if (this.geometryWatchId !== null) {
+            navigator.geolocation.clearWatch(this.geometryWatchId);
+            this.geometryWatchId = null;
+        }
 
-        console.log('Categories to load:', this.config.categories.length);
-        this.config.categories.forEach(category => {
-            if (category.code === 'immediate_drops') return; // Skip the quick drop category itself
-
-            const categoryItem = document.createElement('div');
-            categoryItem.className = 'category-item';
-            categoryItem.onclick = () => this.selectCategory(category);
+        const trackBtn = document.getElementById('geometry-track-btn');
+        if (trackBtn) {
+            trackBtn.textContent = this.t('geometry_track');
+            trackBtn.classList.remove('active');
+        }
+    }
 
-            const icon = document.createElement('div');
-            icon.className = 'category-item-icon';
-            icon.textContent = categoryIcons[category.code] || '📍';
+    /**
+     * Draw the line or area on the map and show its length or area
+     */
+    drawGeometry() {
+        if (this.geometryLayer) {
+            this.geometryLayer.clearLayers();
+        }
 
-            const label = document.createElement('div');
-            label.className = 'category-item-label';
-            label.textContent = category.label;
+        const vertices = this.formData.vertices || [];
+        const isShape = this.isShapeEntry();
 
-            categoryItem.appendChild(icon);
-            categoryItem.appendChild(label);
-            regularContainer.appendChild(categoryItem);
-        });
-        
-        console.log('Category grid loaded with', regularContainer.children.length, 'items');
+        if (this.geometryLayer && isShape && vertices.length > 0) {
+            const latLngs = vertices.map(([lon, lat]) => [lat, lon]);
+            const style = { color: '#0d6efd', weight: 4 };
+            if (this.formData.shape === 'area' && vertices.length >= 3) {
+                L.polygon(latLngs, { ...style, fillOpacity: 0.2 }).addTo(this.geometryLayer);
+            } else {
+                L.polyline(latLngs, style).addTo(this.geometryLayer);
+            }
+            latLngs.forEach(latLng => {
+                L.circleMarker(latLng, { radius: 5, color: '#fff', weight: 2, fillColor: '#0d6efd', fillOpacity: 1 })
+                    .addTo(this.geometryLayer);
+            });
+        }
+
+        const measure = document.getElementById('geometry-measure');
+        if (measure) {
+            const size = this.measureShape(this.formData.shape, vertices);
+            measure.textContent = this.formData.shape === 'area'
+                ? this.t('geometry_summary_area', { count: vertices.length, area: Math.round(size.area_m2) })
+                : this.t('geometry_summary_line', { count: vertices.length, length: Math.round(size.length_m) });
+        }
     }
 
     /**
-     * Handle a quick drop selection
-     * @param {Object} category - The parent "Quick Drops" category
-     * @param {Object} subcategory - The specific quick drop item selected
+     * Measure a line's length or an area's size. Must match measureGeometry
+     * in google-apps-script.js.
+     * @param {string} shape - 'line' or 'area'
+     * @param {Array<Array<number>>} vertices - [lon, lat] positions
+     * @returns {Object} - length_m for a line, area_m2 for an area
      */
-    handleQuickDropSelect(category, subcategory) {
-        this.clearDynamicFields();
+    measureShape(shape, vertices) {
+        if (shape === 'area') {
+            return { area_m2: vertices.length >= 3 ? this.getRingArea(vertices) : 0 };
+        }
 
-        this.formData.category = category.code;
-        this.formData.subcategory = subcategory.code;
+        let length = 0;
+        for (let i = 1; i < vertices.length; i++) {
+            length += L.latLng(vertices[i - 1][1], vertices[i - 1][0]).distanceTo([vertices[i][1], vertices[i][0]]);
+        }
+        return { length_m: length };
+    }
 
-        this.hideCategoryPopup();
-        this.showSelectedCategory(category);
-        
-        // Hide subcategory dropdown and show the rest of the form
-        document.getElementById('subcategory-section').style.display = 'none';
-        this.showSection('notes-section');
-        this.showSection('tags-section');
-        this.showSection('photos-section');
-        this.showSection('submit-section');
+    /**
+     * Area of a ring on the sphere Leaflet measures distances on
+     * @param {Array<Array<number>>} ring - [lon, lat] positions, closed or not
+     * @returns {number} - Area in square metres
+     */
+    getRingArea(ring) {
+        const radius = 6371000; // L.CRS.Earth.R
+        const toRadians = Math.PI / 180;
+        let area = 0;
+
+        for (let i = 0; i < ring.length; i++) {
+            const [lon1, lat1] = ring[i];
+            const [lon2, lat2] = ring[(i + 1) % ring.length];
+            area += (lon2 - lon1) * toRadians * (2 + Math.sin(lat1 * toRadians) + Math.sin(lat2 * toRadians));
+        }
 
-        this.saveDraft();
+        return Math.abs(area * radius * radius / 2);
     }
 
     /**
-     * Select a category and proceed
-     * @param {Object} category - Selected category object
+     * Middle of a line or area, taken as the mean of its vertices. It stands
+     * in as the entry's point, for the island checks and the lat/lon columns.
+     * @param {Array<Array<number>>} vertices - [lon, lat] positions
+     * @returns {Object} - {lat, lon}
      */
-    selectCategory(category) {
-        this.clearDynamicFields();
-        // Also hide sections that are shown on subcategory selection
-        document.getElementById('notes-section').style.display = 'none';
-        document.getElementById('tags-section').style.display = 'none';
-        document.getElementById('photos-section').style.display = 'none';
-        document.getElementById('submit-section').style.display = 'none';
+    getShapeCenter(vertices) {
+        const lon = vertices.reduce((sum, vertex) => sum + vertex[0], 0) / vertices.length;
+        const lat = vertices.reduce((sum, vertex) => sum + vertex[1], 0) / vertices.length;
+        return { lat, lon };
+    }
 
-        // DIRECT NAVIGATION: If there's only one subcategory, select it automatically.
-        if (category.subcategories && category.subcategories.length === 1) {
-            this.formData.category = category.code;
-            this.formData.subcategory = category.subcategories[0].code;
+    /**
+     * Submission fields for a line or area: the GeoJSON geometry, with the
+     * middle of the shape as its point. GPS fix details don't apply.
+     * @returns {Object} - Fields to merge into the submission
+     */
+    getShapeSubmissionData() {
+        const vertices = this.formData.vertices;
+        const center = this.getShapeCenter(vertices);
+        const geometry = this.formData.shape === 'area'
+            ? { type: 'Polygon', coordinates: [[...vertices, vertices[0]]] } // Rings are closed
+            : { type: 'LineString', coordinates: vertices };
 
-            this.hideCategoryPopup();
-            this.showSelectedCategory(category);
-            this.onSubcategoryChange(this.formData.subcategory); // Go straight to the form
-            this.saveDraft();
-            return;
-        }
+        return {
+            lat: center.lat,
+            lon: center.lon,
+            gps_accuracy_m: null,
+            gps_sample_count: null,
+            gps_method: '',
+            pin_moved: 'no',
+            location_source: this.formData.shape_tracked ? 'tracked' : 'drawn',
+            gps_lat: null,
+            gps_lon: null,
+            drag_distance_m: null,
+            geometry
+        };
+    }
 
-        this.formData.category = category.code;
-        
-        // Hide popup
-        this.hideCategoryPopup();
-        
-        // Show selected category
-        this.showSelectedCategory(category);
-        
-        // Load subcategories
-        this.loadSubcategories(category);
-        
-        // Show subcategory section
-        this.showSection('subcategory-section');
-        
-        // Save draft
-        this.saveDraft();
+    /**
+     * Create the base tile layer. Tiles from downloaded map packs are read
+     * from Cache Storage first, so the map still shows with no connection.
+     * @returns {L.TileLayer} - Tile layer
+     */
+    createTileLayer() {
+        const app = this;
+        const CachedTileLayer = L.TileLayer.extend({
+            createTile(coords, done) {
+                const tile = document.createElement('img');
+                L.DomEvent.on(tile, 'load', L.Util.bind(this._tileOnLoad, this, done, tile));
+                L.DomEvent.on(tile, 'error', L.Util.bind(this._tileOnError, this, done, tile));
+                L.DomEvent.on(tile, 'load', () => {
+                    if (tile.src.startsWith('blob:')) URL.revokeObjectURL(tile.src);
+                });
+                tile.alt = '';
+
+                const networkUrl = this.getTileUrl(coords);
+                app.getCachedTileUrl(coords.z, coords.x, coords.y).then(cachedUrl => {
+                    tile.src = cachedUrl || networkUrl;
+                });
+                return tile;
+            }
+        });
+
+        return new CachedTileLayer(this.getTileUrlTemplate(), {
+            attribution: '© OpenStreetMap contributors',
+            maxZoom: 19
+        });
     }
 
     /**
-     * Show selected category display
-     * @param {Object} category - Selected category
+     * Tile server URL template from config, defaulting to OpenStreetMap
+     * @returns {string} - URL template with {s}, {z}, {x} and {y}
      */
-    showSelectedCategory(category) {
-        const selectedDiv = document.getElementById('selected-category');
-        const iconEl = document.getElementById('category-icon');
-        const nameEl = document.getElementById('category-name');
-        const descEl = document.getElementById('category-description');
-        
-        // Category icons mapping
-        const categoryIcons = {
-            'business_service': '🏪',
-            'public_community': '🏛️',
-            'social_services': '🤝',
-            'infrastructure_utility': '🔧',
-            'transport_travel': '🚢',
-            'environment_hazard': '⚠️',
-            'price_basket': '🛒',
-            'health_pharmacy': '💊',
-            'health_facility': '🏥',
-            'accessibility': '♿',
-            'plants_trees': '🌳',
-            'psip_project': '🏗️',
-            'internet_speed': '📶',
-            'water_air_soil': '💧',
-            'contacts_info': '📞',
-            'immediate_drops': '⚡',
-            'accessibility_check': '♿',
-            'other': '📍'
-        };
-        
-        iconEl.textContent = categoryIcons[category.code] || '📍';
-        nameEl.textContent = category.label;
-        descEl.textContent = 'Tap to change category';
-        
-        selectedDiv.style.display = 'block';
-        
-        // Make it clickable to change category
-        selectedDiv.onclick = () => this.showCategoryPopup();
+    getTileUrlTemplate() {
+        return this.config.tile_url || 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
     }
 
     /**
-     * Load subcategories for selected category
-     * @param {Object} category - Selected category
+     * Tile server URL template map packs are downloaded from. Packs are
+     * only offered with a tile_pack_url from a provider that allows offline
+     * use; the public OpenStreetMap servers forbid bulk downloads.
+     * @returns {string} - URL template, or empty if packs are not set up
      */
-    loadSubcategories(category) {
-        const subcategorySelect = document.getElementById('subcategory-select');
-        subcategorySelect.innerHTML = '<option value="">Select...</option>';
-        
-        if (category && category.subcategories) {
-            category.subcategories.forEach(subcategory => {
-                const option = document.createElement('option');
-                option.value = subcategory.code;
-                option.textContent = subcategory.label;
-                subcategorySelect.appendChild(option);
-            });
+    getTilePackUrlTemplate() {
+        const template = this.config.tile_pack_url || '';
+        return /[./]tile\.openstreetmap\.org\//.test(template) ? '' : template;
+    }
+
+    /**
+     * Build the network URL of a single tile
+     * @param {string} template - URL template with {s}, {z}, {x} and {y}
+     * @param {number} z - Zoom level
+     * @param {number} x - Tile column
+     * @param {number} y - Tile row
+     * @returns {string} - Tile URL
+     */
+    buildTileUrl(template, z, x, y) {
+        const subdomains = 'abc';
+        return template
+            .replace('{s}', subdomains[Math.abs(x + y) % subdomains.length])
+            .replace('{z}', z)
+            .replace('{x}', x)
+            .replace('{y}', y)
+            .replace('{r}', '');
+    }
+
+    /**
+     * Cache Storage key for a tile, independent of the tile server subdomain
+     * @param {number} z - Zoom level
+     * @param {number} x - Tile column
+     * @param {number} y - Tile row
+     * @returns {string} - Cache key
+     */
+    getTileCacheKey(z, x, y) {
+        return new URL(`tiles/${z}/${x}/${y}.png`, window.location.href).href;
+    }
+
+    /**
+     * Look up a tile in the offline tile cache
+     * @param {number} z - Zoom level
+     * @param {number} x - Tile column
+     * @param {number} y - Tile row
+     * @returns {Promise<string|null>} - Object URL of the cached tile, or null
+     */
+    async getCachedTileUrl(z, x, y) {
+        if (!window.caches) return null;
+
+        try {
+            const cache = await caches.open(TILE_CACHE);
+            const response = await cache.match(this.getTileCacheKey(z, x, y));
+            if (!response) return null;
+            return URL.createObjectURL(await response.blob());
+        } catch (error) {
+            return null;
         }
     }
 
     /**
-     * Show a form section with animation
-     * @param {string} sectionId - ID of section to show
+     * List every tile covering a bounding box between two zoom levels
+     * @param {L.LatLngBounds} bounds - Area to cover
+     * @param {number} minZoom - Lowest zoom level
+     * @param {number} maxZoom - Highest zoom level
+     * @returns {Array<Object>} - Tiles as {z, x, y}
      */
-    showSection(sectionId) {
-        const section = document.getElementById(sectionId);
-        section.style.display = 'block';
-        section.classList.add('show');
+    getTilesForBounds(bounds, minZoom, maxZoom) {
+        const toTileX = (lon, z) => Math.floor((lon + 180) / 360 * Math.pow(2, z));
+        const toTileY = (lat, z) => {
+            const rad = lat * Math.PI / 180;
+            return Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * Math.pow(2, z));
+        };
+
+        const tiles = [];
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const minX = toTileX(bounds.getWest(), z);
+            const maxX = toTileX(bounds.getEast(), z);
+            const minY = toTileY(bounds.getNorth(), z);
+            const maxY = toTileY(bounds.getSouth(), z);
+            for (let x = minX; x <= maxX; x++) {
+                for (let y = minY; y <= maxY; y++) {
+                    tiles.push({ z, x, y });
+                }
+            }
+        }
+        return tiles;
     }
 
     /**
-     * Load form data and setup form
+     * Show or hide the offline map packs panel
      */
-    loadFormData() {
-        // Clear subcategory dropdown
-        const subcategorySelect = document.getElementById('subcategory-select');
-        subcategorySelect.innerHTML = '<option value="">Select...</option>';
+    toggleTilePacks() {
+        const panel = document.getElementById('tile-packs');
+        const isVisible = panel.style.display !== 'none';
+        panel.style.display = isVisible ? 'none' : 'block';
 
-        // Load tags
-        this.loadTags();
+        if (!isVisible) {
+            const hasProvider = !!this.getTilePackUrlTemplate();
+            document.getElementById('tile-pack-download-btn').disabled = !hasProvider;
+            document.getElementById('tile-pack-progress').textContent = hasProvider ? '' : this.t('tile_pack_no_provider');
+            this.populateTilePackIslands();
+            this.renderTilePacks();
+        }
     }
 
     /**
-     * Handle subcategory selection change
-     * @param {string} subcategoryCode - Selected subcategory code
+     * Fill the island dropdown used to name a map pack
      */
-    onSubcategoryChange(subcategoryCode) {
-        this.formData.subcategory = subcategoryCode;
-        
-        // Show remaining sections
-        this.showSection('notes-section');
-        this.showSection('tags-section');
-        this.showSection('photos-section');
-        this.showSection('submit-section');
-        
-        // Add category-specific fields for certain subcategories
-        this.addCategorySpecificFields(subcategoryCode);
-        
-        // Save draft
-        this.saveDraft();
+    populateTilePackIslands() {
+        const select = document.getElementById('tile-pack-island');
+        if (!select || select.options.length > 1) return;
+
+        this.islandList.forEach(islandName => {
+            const option = document.createElement('option');
+            option.value = islandName;
+            option.textContent = islandName;
+            select.appendChild(option);
+        });
+
+        if (this.campaign && this.campaign.island) {
+            select.value = this.campaign.island;
+        }
     }
 
     /**
-     * Add category-specific fields based on subcategory
-     * @param {string} subcategoryCode - Selected subcategory code
+     * Download the tiles covering the selected island's outline at zoom
+     * 14-19 and store them as a map pack for the island. An island with no
+     * outline yet has no area to download.
      */
-    addCategorySpecificFields(subcategoryCode) {
-        // Clear any existing dynamic fields
-        this.clearDynamicFields();
-        
-        // Handle immediate drops - skip subcategory selection
-        if (this.isImmediateDrop(subcategoryCode)) {
-            this.handleImmediateDrop(subcategoryCode);
+    async downloadTilePack() {
+        const template = this.getTilePackUrlTemplate();
+        if (!template) {
+            this.showError(this.t('tile_pack_no_provider'));
             return;
         }
-        
-        // Handle accessibility check
-        if (subcategoryCode === 'accessibility_audit') {
-            this.addAccessibilityChecklist();
+        const island = document.getElementById('tile-pack-island').value;
+        if (!island) {
+            this.showError(this.t('error_tile_pack_island'));
             return;
         }
-        
-        // Handle quick note - skip subcategory selection
-        if (subcategoryCode === 'quick_note') {
-            this.handleQuickNote();
+        const islandBounds = this.getIslandBounds(island);
+        if (!islandBounds) {
+            this.showError(this.t('error_tile_pack_no_outline', { island }));
+            return;
+        }
+        if (!window.caches || !this.db) {
+            this.showError(this.t('error_tile_pack_unsupported'));
+            return;
+        }
+        if (!navigator.onLine) {
+            this.showError(this.t('error_tile_pack_offline'));
             return;
         }
 
-        // Handle rapid entry categories
-        if (subcategoryCode === 'price_item' || subcategoryCode === 'pharmacy_stock') {
-            this.buildRapidEntryTable(subcategoryCode);
+        const minZoom = this.config.tile_pack_min_zoom || 14;
+        const maxZoom = this.config.tile_pack_max_zoom || 19;
+        const maxTiles = this.config.tile_pack_max_tiles || 3000;
+        const tiles = this.getTilesForBounds(islandBounds, minZoom, maxZoom);
+
+        if (tiles.length > maxTiles) {
+            this.showError(this.t('error_tile_pack_too_large', { count: tiles.length, max: maxTiles }));
             return;
         }
-        
-        switch (subcategoryCode) {
-            case 'price_item':
-                this.addPriceBasketFields();
-                break;
-            case 'pharmacy_stock':
-                this.addPharmacyFields();
-                break;
-            case 'internet_speed':
-                this.addInternetSpeedFields();
-                break;
-            case 'streetlight':
-                this.addStreetlightFields();
-                break;
-            case 'psip_project':
-                this.addPSIPFields();
-                break;
+
+        const downloadBtn = document.getElementById('tile-pack-download-btn');
+        const progress = document.getElementById('tile-pack-progress');
+        downloadBtn.disabled = true;
+
+        const cache = await caches.open(TILE_CACHE);
+        let bytes = 0;
+        let done = 0;
+        let failed = 0;
+
+        // Fetch a few tiles at a time to keep the tile server happy
+        const queue = [...tiles];
+        const worker = async () => {
+            while (queue.length > 0) {
+                const { z, x, y } = queue.shift();
+                const key = this.getTileCacheKey(z, x, y);
+                try {
+                    let response = await cache.match(key);
+                    if (!response) {
+                        response = await fetch(this.buildTileUrl(template, z, x, y));
+                        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                        await cache.put(key, response.clone());
+                    }
+                    bytes += (await response.blob()).size;
+                } catch (error) {
+                    failed++;
+                }
+                done++;
+                progress.textContent = this.t('tile_pack_progress', { done: done, total: tiles.length });
+            }
+        };
+
+        try {
+            await Promise.all([worker(), worker(), worker(), worker()]);
+
+            await this.dbPut('tile_packs', {
+                id: this.generateUUID(),
+                island: island,
+                bounds: [[bounds.getSouth(), bounds.getWest()], [bounds.getNorth(), bounds.getEast()]],
+                min_zoom: minZoom,
+                max_zoom: maxZoom,
+                tiles: tiles.map(({ z, x, y }) => `${z}/${x}/${y}`),
+                bytes: bytes,
+                created_at: new Date().toISOString()
+            });
+
+            progress.textContent = failed > 0
+                ? this.t('tile_pack_saved_missing', { count: failed })
+                : this.t('tile_pack_saved');
+        } catch (error) {
+            console.error('Failed to save map pack:', error);
+            progress.textContent = this.t('tile_pack_save_failed');
+        } finally {
+            downloadBtn.disabled = false;
+            this.renderTilePacks();
         }
     }
 
     /**
-     * Check if subcategory is an immediate drop
-     * @param {string} subcategoryCode - Subcategory code to check
-     * @returns {boolean} - True if immediate drop
+     * List downloaded map packs with their storage size
      */
-    isImmediateDrop(subcategoryCode) {
-        const immediateDrops = [
-            'motorcycle', 'car', 'broken_vehicle', 'road_depression', 'unpaved',
-            'working_streetlight', 'broken_streetlight', 'under_construction',
-            'abandoned_construction', 'rubble', 'garbage_bin', 'vacant_home', 'flood_zone'
-        ];
-        return immediateDrops.includes(subcategoryCode);
+    async renderTilePacks() {
+        const list = document.getElementById('tile-pack-list');
+        if (!list) return;
+
+        let packs = [];
+        try {
+            packs = await this.dbGetAll('tile_packs');
+        } catch (error) {
+            console.error('Failed to load map packs:', error);
+        }
+
+        list.innerHTML = '';
+        if (packs.length === 0) {
+            list.innerHTML = `<div class="text-muted small">${this.t('tile_pack_none')}</div>`;
+            return;
+        }
+
+        packs.forEach(pack => {
+            const item = document.createElement('div');
+            item.className = 'tile-pack-item';
+
+            const info = document.createElement('div');
+            info.innerHTML = `
+                <div class="tile-pack-name"></div>
+                <div class="text-muted small">${this.t('tile_pack_size', { tiles: pack.tiles.length, size: (pack.bytes / (1024 * 1024)).toFixed(1) })}</div>
+            `;
+            info.querySelector('.tile-pack-name').textContent = pack.island;
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn btn-outline-secondary btn-sm';
+            deleteBtn.textContent = this.t('delete');
+            deleteBtn.onclick = () => this.deleteTilePack(pack.id);
+
+            item.appendChild(info);
+            item.appendChild(deleteBtn);
+            list.appendChild(item);
+        });
     }
 
     /**
-     * Handle immediate drop - skip to notes/photos
-     * @param {string} subcategoryCode - Immediate drop code
+     * Delete a map pack and any tiles no other pack uses
+     * @param {string} packId - Pack to delete
      */
-    handleImmediateDrop(subcategoryCode) {
-        // Hide subcategory section since we're skipping it
-        document.getElementById('subcategory-section').style.display = 'none';
-        
-        // Show remaining sections immediately
-        this.showSection('notes-section');
-        this.showSection('tags-section');
-        this.showSection('photos-section');
-        this.showSection('submit-section');
+    async deleteTilePack(packId) {
+        if (!confirm(this.t('confirm_delete_tile_pack'))) return;
+
+        try {
+            const packs = await this.dbGetAll('tile_packs');
+            const pack = packs.find(p => p.id === packId);
+            if (!pack) return;
+
+            const stillUsed = new Set();
+            packs.filter(p => p.id !== packId).forEach(p => p.tiles.forEach(t => stillUsed.add(t)));
+
+            const cache = await caches.open(TILE_CACHE);
+            for (const tile of pack.tiles) {
+                if (stillUsed.has(tile)) continue;
+                const [z, x, y] = tile.split('/').map(Number);
+                await cache.delete(this.getTileCacheKey(z, x, y));
+            }
+
+            await this.dbDelete('tile_packs', packId);
+        } catch (error) {
+            console.error('Failed to delete map pack:', error);
+            this.showError(this.t('error_tile_pack_delete'));
+        }
+
+        this.renderTilePacks();
     }
 
     /**
-     * Handle quick note - skip to notes/photos
+     * Pick the survey campaign to run. `?campaign=<id>` in the URL starts
+     * one of the campaigns in config.json, or `?campaign=<JSON>` passes a
+     * whole definition; an empty value leaves the campaign. The choice is
+     * remembered, since the installed app opens without URL parameters.
+     * @returns {Object|null} - Campaign definition, or null for free mapping
      */
-    handleQuickNote() {
-        // Hide subcategory section since we're skipping it
-        document.getElementById('subcategory-section').style.display = 'none';
-        
-        // Show remaining sections immediately
-        this.showSection('notes-section');
-        this.showSection('tags-section');
-        this.showSection('photos-section');
-        this.showSection('submit-section');
-    }
+    loadCampaign() {
+        const param = new URLSearchParams(window.location.search).get('campaign');
+        let campaign = null;
 
-    /**
-     * Builds a table for rapid data entry for price basket and pharmacy stock.
-     * @param {string} type - 'price_item' or 'pharmacy_stock'
-     */
-    buildRapidEntryTable(type) {
-        const container = document.getElementById('dynamic-fields');
-        container.innerHTML = ''; // Clear existing fields
+        try {
+            if (param === null) {
+                const saved = localStorage.getItem('mappingAppCampaign');
+                campaign = saved ? JSON.parse(saved) : null;
+            } else if (param.trim().startsWith('{')) {
+                campaign = JSON.parse(param);
+            } else if (param) {
+                campaign = (this.config.campaigns || []).find(c => c.id === param) || null;
+                if (!campaign) {
+                    console.error(`Campaign ${param} not found in config`);
+                }
+            }
+        } catch (error) {
+            console.error('Failed to read campaign:', error);
+            campaign = null;
+        }
 
-        const items = type === 'price_item' ? this.config.price_items : this.config.meds_availability;
-        const isPriceBasket = type === 'price_item';
-        const formDataType = isPriceBasket ? 'price_basket_data' : 'pharmacy_stock_data';
+        if (campaign && !this.isValidCampaign(campaign)) {
+            console.error('Ignoring invalid campaign:', campaign);
+            campaign = null;
+        }
 
-        if (!this.formData[formDataType]) {
-            this.formData[formDataType] = {};
+        // A finished campaign falls back to free mapping
+        if (campaign && campaign.ends && new Date(`${campaign.ends}T23:59:59`) < new Date()) {
+            console.log(`Campaign ${campaign.id} has ended`);
+            campaign = null;
         }
 
-        const tableContainer = document.createElement('div');
-        tableContainer.className = 'form-section rapid-entry-container';
-        
-        const table = document.createElement('table');
-        table.className = 'table rapid-entry-table';
-        
-        // Header
-        const thead = document.createElement('thead');
-        thead.innerHTML = isPriceBasket ?
-            `<tr><th>Item</th><th>Price (MVR)</th><th>In Stock?</th></tr>` :
-            `<tr><th>Medicine</th><th>Availability</th></tr>`;
-        table.appendChild(thead);
+        this.saveCampaign(campaign);
+        return campaign;
+    }
 
-        // Body
-        const tbody = document.createElement('tbody');
-        items.forEach(item => {
-            const row = document.createElement('tr');
-            const itemId = isPriceBasket ? item.name : item.name;
-            row.dataset.itemId = itemId;
+    /**
+     * Check the parts of a campaign definition the app relies on
+     * @param {Object} campaign - Campaign definition
+     * @returns {boolean} - True if it can be used
+     */
+    isValidCampaign(campaign) {
+        if (typeof campaign.id !== 'string' || !campaign.id) return false;
+        if (campaign.categories !== undefined && !Array.isArray(campaign.categories)) return false;
+        if (campaign.target !== undefined && !(campaign.target > 0)) return false;
+        if (campaign.boundary !== undefined && (!campaign.boundary || campaign.boundary.type !== 'Polygon')) return false;
+        return true;
+    }
 
-            if (isPriceBasket) {
-                const priceValue = this.formData[formDataType][itemId] ? this.formData[formDataType][itemId].price : '';
-                const stockValue = this.formData[formDataType][itemId] ? this.formData[formDataType][itemId].stock : '';
-                row.innerHTML = `
-                    <td>${item.label}</td>
-                    <td><input type="number" class="form-control price-input" placeholder="Price" value="${priceValue}"></td>
-                    <td>
-                        <select class="form-select stock-select">
-                            <option value="">Select...</option>
-                            <option value="yes" ${stockValue === 'yes' ? 'selected' : ''}>Yes</option>
-                            <option value="no" ${stockValue === 'no' ? 'selected' : ''}>No</option>
-                        </select>
-                    </td>
-                `;
-            } else { // Pharmacy Stock
-                const stockValue = this.formData[formDataType][itemId] ? this.formData[formDataType][itemId].stock : '';
-                row.innerHTML = `
-                    <td>${item.label}</td>
-                    <td>
-                        <select class="form-select stock-select">
-                            <option value="">Select...</option>
-                            <option value="in_stock" ${stockValue === 'in_stock' ? 'selected' : ''}>In Stock</option>
-                            <option value="out_of_stock" ${stockValue === 'out_of_stock' ? 'selected' : ''}>Out of Stock</option>
-                            <option value="limited" ${stockValue === 'limited' ? 'selected' : ''}>Limited Stock</option>
-                        </select>
-                    </td>
-                `;
+    /**
+     * Remember the running campaign on this device, or forget it
+     * @param {Object|null} campaign - Campaign definition, or null
+     */
+    saveCampaign(campaign) {
+        try {
+            if (campaign) {
+                localStorage.setItem('mappingAppCampaign', JSON.stringify(campaign));
+            } else {
+                localStorage.removeItem('mappingAppCampaign');
             }
-            tbody.appendChild(row);
-        });
-        table.appendChild(tbody);
-        
-        tableContainer.appendChild(table);
-        container.appendChild(tableContainer);
-
-        // Add event listeners for inputs to save draft
-        container.querySelectorAll('input, select').forEach(el => {
-            el.addEventListener('change', () => this.updateTableFormData(type));
-        });
-
-        // Show the container
-        this.showSection('dynamic-fields');
+        } catch (error) {
+            console.error('Failed to save campaign:', error);
+        }
     }
 
     /**
-     * Reads the state of the rapid entry table and saves it to formData.
-     * @param {string} type - 'price_item' or 'pharmacy_stock'
+     * Stop the running campaign and go back to mapping anything
      */
-    updateTableFormData(type) {
-        const isPriceBasket = type === 'price_item';
-        const formDataType = isPriceBasket ? 'price_basket_data' : 'pharmacy_stock_data';
-        
-        if (!this.formData[formDataType]) {
-            this.formData[formDataType] = {};
+    leaveCampaign() {
+        if (!confirm(this.t('campaign_leave_confirm'))) return;
+
+        this.campaign = null;
+        this.saveCampaign(null);
+        if (this.campaignBoundaryLayer) {
+            this.campaignBoundaryLayer.remove();
+            this.campaignBoundaryLayer = null;
         }
 
-        const table = document.querySelector('.rapid-entry-table');
-        if (!table) return;
-
-        table.querySelectorAll('tbody tr').forEach(row => {
-            const itemId = row.dataset.itemId;
-            if (isPriceBasket) {
-                const priceInput = row.querySelector('.price-input');
-                const stockSelect = row.querySelector('.stock-select');
-                this.formData[formDataType][itemId] = {
-                    price: priceInput.value,
-                    stock: stockSelect.value
-                };
-            } else { // Pharmacy
-                const stockSelect = row.querySelector('.stock-select');
-                this.formData[formDataType][itemId] = {
-                    stock: stockSelect.value
-                };
-            }
-        });
+        // Drop the parameter so a reload does not start the campaign again
+        const url = new URL(window.location.href);
+        url.searchParams.delete('campaign');
+        window.history.replaceState(null, '', url);
 
-        this.saveDraft();
+        this.updateCampaignProgress();
     }
 
     /**
-     * Gets the formatted price basket data string for submission.
+     * Check whether the running campaign allows a category or subcategory.
+     * Campaign `categories` lists category codes, which allow every
+     * subcategory, or 'category/subcategory' pairs.
+     * @param {string} categoryCode - Category code
+     * @param {string} [subcategoryCode] - Subcategory code; if left out, the
+     *     category is allowed when any of its subcategories is
+     * @returns {boolean} - True if entries of this kind belong in the campaign
      */
-    getPriceBasketData() {
-        const table = document.querySelector('.rapid-entry-table');
-        if (!table) return '';
-
-        const items = [];
-        table.querySelectorAll('tbody tr').forEach(row => {
-            const itemName = row.cells[0].textContent.trim();
-            const price = row.querySelector('.price-input').value.trim();
-            const stock = row.querySelector('.stock-select').value;
-            
-            if (price || stock) { // Only include rows that have been filled
-                items.push(`${itemName}:${price || 'N/A'}:${stock || 'N/A'}`);
-            }
-        });
+    isAllowedInCampaign(categoryCode, subcategoryCode) {
+        const allowed = this.campaign && this.campaign.categories;
+        if (!allowed) return true;
+        if (allowed.includes(categoryCode)) return true;
 
-        return items.join('; ');
+        if (subcategoryCode) {
+            return allowed.includes(`${categoryCode}/${subcategoryCode}`);
+        }
+        return allowed.some(code => code.startsWith(`${categoryCode}/`));
     }
 
     /**
-     * Gets the formatted pharmacy stock data string for submission.
+     * Draw the campaign area on the location map: its boundary, or else the
+     * outline of its island. The map is moved to the area when it opens
+     * somewhere else; an island with only a centroid is centred on when the
+     * map is further than campaign_recentre_m from it, which leaves the
+     * view alone for anyone already on the island.
      */
-    getPharmacyStockData() {
-        const table = document.querySelector('.rapid-entry-table');
-        if (!table) return '';
-        
-        const items = [];
-        table.querySelectorAll('tbody tr').forEach(row => {
-            const medName = row.cells[0].textContent.trim();
-            const availability = row.querySelector('.stock-select').value;
-            
-            if (availability) { // Only include rows that have been filled
-                items.push(`${medName}:${availability}`);
+    drawCampaignBoundary() {
+        if (!this.map || !this.campaign || this.campaignBoundaryLayer) return;
+
+        const island = this.campaign.island
+            ? this.islandOutlines.find(feature => feature.properties.name === this.campaign.island)
+            : null;
+        const area = this.campaign.boundary || (island && island.geometry);
+
+        if (area) {
+            this.campaignBoundaryLayer = L.geoJSON(area, {
+                style: {
+                    color: '#A23B72',
+                    weight: 3,
+                    dashArray: '6 6',
+                    fillOpacity: 0.05
+                },
+                interactive: false
+            }).addTo(this.map);
+
+            const bounds = this.campaignBoundaryLayer.getBounds();
+            if (!bounds.contains(this.map.getCenter())) {
+                this.map.fitBounds(bounds);
             }
-        });
+            return;
+        }
 
-        return items.join('; ');
+        const centroid = this.campaign.island ? this.getIslandCentroid(this.campaign.island) : null;
+        if (centroid && this.map.distance(this.map.getCenter(), [centroid.lat, centroid.lon]) > (this.config.campaign_recentre_m || 0)) {
+            this.map.setView([centroid.lat, centroid.lon], 15);
+        }
     }
 
     /**
-     * Add price basket specific fields
+     * Show the running campaign and how many entries this device has made
+     * for it, out of the target
      */
-    addPriceBasketFields() {
-        const container = document.getElementById('dynamic-fields');
-        
-        // Item selection
-        const itemDiv = document.createElement('div');
-        itemDiv.className = 'form-section';
-        itemDiv.innerHTML = `
-            <label for="price-item-select" class="form-label">Select Item *</label>
-            <select id="price-item-select" class="form-select" required>
-                <option value="">Choose an item...</option>
-            </select>
-        `;
-        container.appendChild(itemDiv);
-        
-        // Populate items
-        const select = document.getElementById('price-item-select');
-        this.config.price_items.forEach(item => {
-            const option = document.createElement('option');
-            option.value = item.name;
-            option.textContent = item.label;
-            select.appendChild(option);
-        });
-        
-        // Price field
-        const priceDiv = document.createElement('div');
-        priceDiv.className = 'form-section';
-        priceDiv.innerHTML = `
-            <label for="price-mvr" class="form-label">Price (MVR) *</label>
-            <input type="number" id="price-mvr" class="form-control" placeholder="Enter price..." required>
-        `;
-        container.appendChild(priceDiv);
-        
-        // Stock status
-        const stockDiv = document.createElement('div');
-        stockDiv.className = 'form-section';
-        stockDiv.innerHTML = `
-            <label for="in-stock" class="form-label">In Stock? *</label>
-            <select id="in-stock" class="form-select" required>
-                <option value="">Select...</option>
-                <option value="yes">Yes</option>
-                <option value="no">No</option>
-            </select>
-        `;
-        container.appendChild(stockDiv);
-        
-        // Add event listeners
-        select.addEventListener('change', () => {
-            this.formData.price_item = select.value;
-            this.saveDraft();
-        });
-        
-        document.getElementById('price-mvr').addEventListener('change', (e) => {
-            this.formData.price_mvr = e.target.value;
-            this.saveDraft();
-        });
-        
-        document.getElementById('in-stock').addEventListener('change', (e) => {
-            this.formData.in_stock = e.target.value;
-            this.saveDraft();
-        });
+    async updateCampaignProgress() {
+        const banner = document.getElementById('campaign-banner');
+        if (!banner) {
+            console.error('Campaign banner not found!');
+            return;
+        }
+
+        if (!this.campaign) {
+            banner.style.display = 'none';
+            return;
+        }
+
+        let count = 0;
+        try {
+            count = (await this.dbGetAll('history')).filter(entry => entry.campaign_id === this.campaign.id).length;
+        } catch (error) {
+            console.error('Failed to count campaign entries:', error);
+        }
+
+        document.getElementById('campaign-name').textContent = this.campaign.name || this.campaign.id;
+        document.getElementById('campaign-progress-text').textContent = this.campaign.target
+            ? this.t('campaign_progress', { count, target: this.campaign.target })
+            : this.t('campaign_count', { count });
+
+        const bar = document.getElementById('campaign-progress-bar');
+        bar.parentElement.style.display = this.campaign.target ? 'flex' : 'none';
+        bar.style.width = `${this.campaign.target ? Math.min(100, Math.round(count / this.campaign.target * 100)) : 0}%`;
+
+        banner.style.display = 'block';
     }
 
     /**
-     * Add pharmacy specific fields
+     * Show or hide the list of entries made on this device
      */
-    addPharmacyFields() {
-        const container = document.getElementById('dynamic-fields');
-        
-        // Medicine selection
-        const medDiv = document.createElement('div');
-        medDiv.className = 'form-section';
-        medDiv.innerHTML = `
-            <label for="med-item-select" class="form-label">Select Medicine *</label>
-            <select id="med-item-select" class="form-select" required>
-                <option value="">Choose a medicine...</option>
-            </select>
-        `;
-        container.appendChild(medDiv);
-        
-        // Populate medicines
-        const select = document.getElementById('med-item-select');
-        this.config.meds_availability.forEach(med => {
-            const option = document.createElement('option');
-            option.value = med.name;
-            option.textContent = med.label;
-            select.appendChild(option);
-        });
-        
-        // Availability status
-        const availDiv = document.createElement('div');
-        availDiv.className = 'form-section';
-        availDiv.innerHTML = `
-            <label for="med-availability" class="form-label">Availability *</label>
-            <select id="med-availability" class="form-select" required>
-                <option value="">Select...</option>
-                <option value="in_stock">In Stock</option>
-                <option value="out_of_stock">Out of Stock</option>
-                <option value="limited">Limited Stock</option>
-            </select>
-        `;
-        container.appendChild(availDiv);
-        
-        // Price field (optional)
-        const priceDiv = document.createElement('div');
-        priceDiv.className = 'form-section';
-        priceDiv.innerHTML = `
-            <label for="med-price-mvr" class="form-label">Price (MVR) - Optional</label>
-            <input type="number" id="med-price-mvr" class="form-control" placeholder="Enter price if available...">
-        `;
-        container.appendChild(priceDiv);
-        
-        // Add event listeners
-        select.addEventListener('change', () => {
-            this.formData.med_item = select.value;
-            this.saveDraft();
-        });
-        
-        document.getElementById('med-availability').addEventListener('change', (e) => {
-            this.formData.med_availability = e.target.value;
-            this.saveDraft();
-        });
-        
-        document.getElementById('med-price-mvr').addEventListener('change', (e) => {
-            this.formData.med_price_mvr = e.target.value;
-            this.saveDraft();
-        });
+    toggleMyPins() {
+        const panel = document.getElementById('my-pins');
+        const isVisible = panel.style.display !== 'none';
+        panel.style.display = isVisible ? 'none' : 'block';
+
+        if (!isVisible) {
+            this.renderMyPins();
+        }
     }
 
     /**
-     * Add internet speed test fields
+     * Keep a copy of a submitted entry in the local history, so the
+     * "my pins" layer and list can show it. History never leaves the device.
+     * @param {Object} submissionData - Data from prepareSubmissionData
      */
-    addInternetSpeedFields() {
-        const container = document.getElementById('dynamic-fields');
-        
-        const fields = [
-            { id: 'isp', label: 'Internet Service Provider', type: 'text', placeholder: 'Enter ISP name...' },
-            { id: 'down-mbps', label: 'Download Speed (Mbps)', type: 'number', placeholder: 'Enter download speed...' },
-            { id: 'up-mbps', label: 'Upload Speed (Mbps)', type: 'number', placeholder: 'Enter upload speed...' },
-            { id: 'ping-ms', label: 'Ping (ms)', type: 'number', placeholder: 'Enter ping time...' }
-        ];
-        
-        fields.forEach(field => {
-            const fieldDiv = document.createElement('div');
-            fieldDiv.className = 'form-section';
-            fieldDiv.innerHTML = `
-                <label for="${field.id}" class="form-label">${field.label} *</label>
-                <input type="${field.type}" id="${field.id}" class="form-control" placeholder="${field.placeholder}" required>
-            `;
-            container.appendChild(fieldDiv);
-            
-            // Add event listener
-            document.getElementById(field.id).addEventListener('change', (e) => {
-                const fieldName = field.id.replace('-', '_');
-                this.formData[fieldName] = e.target.value;
-                this.saveDraft();
+    async recordHistory(submissionData) {
+        try {
+            await this.dbPut('history', {
+                submission_id: submissionData.submission_id,
+                category: submissionData.category,
+                subcategory: submissionData.subcategory,
+                name: submissionData.title_or_name || '',
+                lat: submissionData.lat,
+                lon: submissionData.lon,
+                campaign_id: submissionData.campaign_id,
+                submitted_at: submissionData.submitted_at_iso
             });
-        });
+        } catch (error) {
+            console.error('Failed to save history entry:', error);
+        }
+
+        this.updateCampaignProgress();
     }
 
     /**
-     * Add streetlight specific fields
+     * Get the colour used for a category's pins
+     * @param {string} categoryCode - Category code
+     * @returns {string} - CSS colour
      */
-    addStreetlightFields() {
-        const container = document.getElementById('dynamic-fields');
-        
-        // Working status
-        const workingDiv = document.createElement('div');
-        workingDiv.className = 'form-section';
-        workingDiv.innerHTML = `
-            <label for="light-working" class="form-label">Is the light working? *</label>
-            <select id="light-working" class="form-select" required>
-                <option value="">Select...</option>
-                <option value="yes">Yes</option>
-                <option value="no">No</option>
-            </select>
-        `;
-        container.appendChild(workingDiv);
-        
-        // Lux reading
-        const luxDiv = document.createElement('div');
-        luxDiv.className = 'form-section';
-        luxDiv.innerHTML = `
-            <label for="lux-ground" class="form-label">Ground Illumination (lux)</label>
-            <input type="number" id="lux-ground" class="form-control" placeholder="Enter lux reading...">
-        `;
-        container.appendChild(luxDiv);
-        
-        // Add event listeners
-        document.getElementById('light-working').addEventListener('change', (e) => {
-            this.formData.light_working = e.target.value;
-            this.saveDraft();
-        });
-        
-        document.getElementById('lux-ground').addEventListener('change', (e) => {
-            this.formData.lux_ground = e.target.value;
-            this.saveDraft();
-        });
+    getCategoryColor(categoryCode) {
+        const index = this.config.categories.findIndex(c => c.code === categoryCode);
+        if (index === -1) return '#6c757d';
+
+        // Golden-angle steps keep neighbouring categories far apart in hue
+        return `hsl(${Math.round(index * 137.5) % 360}, 70%, 45%)`;
     }
 
     /**
-     * Add PSIP project specific fields
+     * Draw this device's past entries on the map, coloured by category,
+     * and list them by day with a count for each day
      */
-    addPSIPFields() {
-        const container = document.getElementById('dynamic-fields');
-        
-        const fields = [
-            { id: 'project-type', label: 'Project Type', type: 'text', placeholder: 'Enter project type...' },
-            { id: 'progress-status', label: 'Progress Status', type: 'select', options: this.config.psip_status },
-            { id: 'contractor', label: 'Contractor', type: 'text', placeholder: 'Enter contractor name...' }
-        ];
-        
-        fields.forEach(field => {
-            const fieldDiv = document.createElement('div');
-            fieldDiv.className = 'form-section';
-            
-            if (field.type === 'select') {
-                fieldDiv.innerHTML = `
-                    <label for="${field.id}" class="form-label">${field.label}</label>
-                    <select id="${field.id}" class="form-select">
-                        <option value="">Select...</option>
-                    </select>
-                `;
-                
-                const select = fieldDiv.querySelector('select');
-                field.options.forEach(option => {
-                    const optionEl = document.createElement('option');
-                    optionEl.value = option.name;
-                    optionEl.textContent = option.label;
-                    select.appendChild(optionEl);
-                });
-            } else {
-                fieldDiv.innerHTML = `
-                    <label for="${field.id}" class="form-label">${field.label}</label>
-                    <input type="${field.type}" id="${field.id}" class="form-control" placeholder="${field.placeholder}">
-                `;
-            }
-            
-            container.appendChild(fieldDiv);
-            
-            // Add event listener
-            const element = document.getElementById(field.id);
-            element.addEventListener('change', (e) => {
-                const fieldName = field.id.replace('-', '_');
-                this.formData[fieldName] = e.target.value;
-                this.saveDraft();
+    async renderMyPins() {
+        let history = [];
+        try {
+            history = await this.dbGetAll('history');
+        } catch (error) {
+            console.error('Failed to load history:', error);
+        }
+        history.sort((a, b) => b.submitted_at.localeCompare(a.submitted_at));
+
+        const markers = {};
+        if (this.myPinsLayer) {
+            this.myPinsLayer.clearLayers();
+            history.forEach(entry => {
+                const lat = parseFloat(entry.lat);
+                const lon = parseFloat(entry.lon);
+                if (isNaN(lat) || isNaN(lon)) return; // Island entries have no point
+
+                const popup = document.createElement('div');
+                popup.textContent = `${entry.name ? `${entry.name} · ` : ''}${this.getEntryLabel(entry)}`;
+
+                markers[entry.submission_id] = L.circleMarker([lat, lon], {
+                    radius: 7,
+                    color: '#fff',
+                    weight: 2,
+                    fillColor: this.getCategoryColor(entry.category),
+                    fillOpacity: 0.9
+                }).bindPopup(popup).addTo(this.myPinsLayer);
             });
-        });
-    }
+        }
 
-    /**
-     * Add accessibility checklist
-     */
-    addAccessibilityChecklist() {
-        const container = document.getElementById('dynamic-fields');
-        container.innerHTML = ''; // Clear previous fields
-
-        const checklistItems = {
-            'Approach & Paths': [
-                'Step-free route present', 'Path clear of obstacles', 'Surface firm, non-slip',
-                'Kerb cuts at corners', 'Bumpy paving at crossings', 'Crossings have audible signal'
-            ],
-            'Ramp': [
-                'Ramp provided where needed', 'Ramp feels gentle slope', 'Ramp surface grips shoes',
-                'Handrails on both sides', 'Ramp edge kerb present', 'Level landings at ends'
-            ],
-            'Entrance': [
-                'No step at entrance', 'Doorway wide for wheelchair', 'Door opens with light push',
-                'Automatic door or assistance', 'Doorbell/intercom within reach'
-            ],
-            'Toilets': [
-                'Accessible toilet provided', 'Door easy to open', 'Wheelchair can turn inside',
-                'Grab bars feel solid', 'Sink, soap within reach', 'Lever-style tap handles'
-            ]
-        };
+        const list = document.getElementById('my-pins-list');
+        if (!list) return;
 
-        const checklistDiv = document.createElement('div');
-        checklistDiv.className = 'form-section';
-        checklistDiv.innerHTML = `<label class="form-label">Accessibility Checklist</label>`;
+        list.innerHTML = '';
+        if (history.length === 0) {
+            list.innerHTML = `<div class="text-muted small">${this.t('my_pins_none')}</div>`;
+            return;
+        }
 
-        const checklistContainer = document.createElement('div');
-        checklistContainer.className = 'accessibility-checklist';
+        const days = new Map();
+        history.forEach(entry => {
+            const day = new Date(entry.submitted_at).toLocaleDateString(this.language);
+            if (!days.has(day)) days.set(day, []);
+            days.get(day).push(entry);
+        });
 
-        for (const sectionTitle in checklistItems) {
-            const sectionDiv = document.createElement('div');
-            sectionDiv.className = 'checklist-section';
-            sectionDiv.innerHTML = `<h6>${sectionTitle}</h6>`;
-            
-            checklistItems[sectionTitle].forEach((itemText, index) => {
-                const itemId = `${sectionTitle.replace(/[\s&]/g, '_')}_${index}`;
-                const label = document.createElement('label');
-                label.innerHTML = `<input type="checkbox" data-item-id="${itemId}"> ${itemText}`;
-                sectionDiv.appendChild(label);
-            });
-            checklistContainer.appendChild(sectionDiv);
-        }
+        days.forEach((entries, day) => {
+            const header = document.createElement('div');
+            header.className = 'my-pins-day';
+            header.textContent = this.t('my_pins_day', { day, count: entries.length });
+            list.appendChild(header);
 
-        checklistDiv.appendChild(checklistContainer);
-        container.appendChild(checklistDiv);
+            entries.forEach(entry => {
+                const item = document.createElement('div');
+                item.className = 'my-pins-item';
 
-        // Add event listeners and restore state from draft
-        checklistContainer.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
-            checkbox.addEventListener('change', () => this.updateAccessibilityFormData());
-            const itemId = checkbox.dataset.itemId;
-            if (this.formData.accessibility_checklist_data && this.formData.accessibility_checklist_data[itemId]) {
-                checkbox.checked = true;
-            }
+                const dot = document.createElement('span');
+                dot.className = 'my-pins-dot';
+                dot.style.backgroundColor = this.getCategoryColor(entry.category);
+
+                const info = document.createElement('div');
+                info.innerHTML = `
+                    <div class="my-pins-label"></div>
+                    <div class="text-muted small">${new Date(entry.submitted_at).toLocaleTimeString(this.language, { hour: '2-digit', minute: '2-digit' })}</div>
+                `;
+                info.querySelector('.my-pins-label').textContent =
+                    `${entry.name ? `${entry.name} · ` : ''}${this.getEntryLabel(entry)}`;
+
+                item.appendChild(dot);
+                item.appendChild(info);
+
+                const marker = markers[entry.submission_id];
+                if (marker) {
+                    item.classList.add('my-pins-item-link');
+                    item.onclick = () => {
+                        this.map.setView(marker.getLatLng(), Math.max(this.map.getZoom(), 17));
+                        marker.openPopup();
+                    };
+                }
+
+                list.appendChild(item);
+            });
         });
     }
 
     /**
-     * Reads the state of the accessibility checklist and saves it to formData.
+     * Toggle manual search input visibility
      */
-    updateAccessibilityFormData() {
-        if (!this.formData.accessibility_checklist_data) {
-            this.formData.accessibility_checklist_data = {};
-        }
-        const checklistContainer = document.querySelector('.accessibility-checklist');
-        if (!checklistContainer) return;
+    toggleManualSearch() {
+        const searchDiv = document.getElementById('manual-search');
+        const isVisible = searchDiv.style.display !== 'none';
+        searchDiv.style.display = isVisible ? 'none' : 'block';
+        
+        if (!isVisible) {
+            document.getElementById('search-input').focus();
+        }
+    }
+
+    /**
+     * Perform search for place or coordinates. Coordinates move the pin
+     * straight away; place names are looked up in the offline gazetteer.
+     */
+    performSearch() {
+        const query = document.getElementById('search-input').value.trim();
+        
+        if (!query) {
+            this.showError(this.t('error_search_empty'));
+            return;
+        }
+
+        const point = this.parseCoordinates(query);
+        if (point && point.error) {
+            this.showError(this.t(point.error));
+            return;
+        }
+        if (point) {
+            this.goToSearchPoint(point.lat, point.lon);
+            return;
+        }
+
+        const results = this.showPlaceResults(query);
+        if (results.length === 0) {
+            this.showError(this.t('error_place_search'));
+        } else if (results.length === 1) {
+            this.selectPlaceResult(results[0]);
+        }
+    }
 
-        checklistContainer.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
-            const itemId = checkbox.dataset.itemId;
-            this.formData.accessibility_checklist_data[itemId] = checkbox.checked;
+    /**
+     * Move the pin to a searched point and close the search box
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     */
+    goToSearchPoint(lat, lon) {
+        this.stopLocationSampling();
+        this.handleLocationSuccess({
+            coords: { latitude: lat, longitude: lon, accuracy: null }
         });
-        this.saveDraft();
+        document.getElementById('manual-search').style.display = 'none';
+        document.getElementById('search-input').value = '';
+        document.getElementById('search-place-results').innerHTML = '';
     }
 
     /**
-     * Gets the formatted accessibility data string for submission.
+     * Read coordinates typed into the search box: decimal degrees
+     * ("6.6578, 73.0701"), degrees-minutes-seconds ("6°39'28"N 73°4'12"E")
+     * or a plus code, either full ("6JRMM35C+42") or short with a place or
+     * the map as reference ("M35C+42 Kulhudhuffushi")
+     * @param {string} query - Search text
+     * @returns {Object|null} - {lat, lon}, {error} with a string key when the
+     *     text is coordinates that can't be used, or null for a place name
      */
-    getAccessibilityData() {
-        const checklistContainer = document.querySelector('.accessibility-checklist');
-        if (!checklistContainer) return '';
+    parseCoordinates(query) {
+        const inRange = point => point.lat >= -90 && point.lat <= 90 && point.lon >= -180 && point.lon <= 180
+            ? point
+            : { error: 'error_invalid_coordinates' };
+
+        const decimal = query.match(/^(-?\d+(?:\.\d+)?)\s*[,\s]\s*(-?\d+(?:\.\d+)?)$/);
+        if (decimal) {
+            return inRange({ lat: parseFloat(decimal[1]), lon: parseFloat(decimal[2]) });
+        }
 
-        const items = [];
-        checklistContainer.querySelectorAll('label').forEach(label => {
-            const checkbox = label.querySelector('input[type="checkbox"]');
-            const itemText = label.textContent.trim();
-            const value = checkbox.checked ? 'YES' : 'NO';
-            items.push(`${itemText}: ${value}`);
-        });
+        const dms = this.parseDms(query);
+        if (dms) {
+            return inRange(dms);
+        }
 
-        return items.join('; ');
+        const plusCode = query.match(/^([23456789CFGHJMPQRVWX]{2,8}\+[23456789CFGHJMPQRVWX]*)(?:[\s,]+(.+))?$/i);
+        if (plusCode) {
+            return this.decodePlusCodeQuery(plusCode[1].toUpperCase(), plusCode[2]);
+        }
+
+        return null;
     }
 
     /**
-     * Clear all dynamic fields
+     * Read a pair of degrees-minutes-seconds coordinates with hemisphere
+     * letters, e.g. 6°39'28"N 73°4'12"E, 6 39 28 N 73 4 12 E or 6.66N 73.07E
+     * @param {string} query - Search text
+     * @returns {Object|null} - {lat, lon}, or null if the text is not DMS
      */
-    clearDynamicFields() {
-        const container = document.getElementById('dynamic-fields');
-        if (container) {
-            container.innerHTML = '';
+    parseDms(query) {
+        const number = '(\\d+(?:\\.\\d+)?)';
+        const pattern = new RegExp(
+            `${number}\\s*[°º]?\\s*(?:${number}\\s*['′]?\\s*)?(?:${number}\\s*(?:"|″|'')?\\s*)?([NSEW])`, 'g'
+        );
+        const text = query.toUpperCase();
+        const matches = [...text.matchAll(pattern)];
+        if (matches.length !== 2 || text.replace(pattern, '').replace(/[\s,;]/g, '') !== '') return null;
+
+        const point = {};
+        for (const match of matches) {
+            const minutes = parseFloat(match[2] || 0);
+            const seconds = parseFloat(match[3] || 0);
+            if (minutes >= 60 || seconds >= 60) return null;
+
+            const value = parseFloat(match[1]) + minutes / 60 + seconds / 3600;
+            const hemisphere = match[4];
+            const axis = hemisphere === 'N' || hemisphere === 'S' ? 'lat' : 'lon';
+            point[axis] = hemisphere === 'S' || hemisphere === 'W' ? -value : value;
         }
+
+        return point.lat !== undefined && point.lon !== undefined ? point : null;
     }
 
+    /**
+     * Decode a plus code typed into the search box. A short code is
+     * completed from the place named after it, or else from the map, which
+     * is also used when the named place has no known position yet.
+     * @param {string} code - Plus code, upper case
+     * @param {string} [placeText] - Place named after a short code
+     * @returns {Object} - {lat, lon}, or {error} with a string key
+     */
+    decodePlusCodeQuery(code, placeText) {
+        const separator = code.indexOf('+');
+        if (separator === 8) {
+            return this.decodePlusCode(code) || { error: 'error_plus_code' };
+        }
+        if (separator % 2 !== 0) {
+            return { error: 'error_plus_code' };
+        }
+
+        let reference = null;
+        if (placeText) {
+            // Only the best match counts: a weaker one with a position may be another island
+            const [place] = this.searchGazetteer(placeText);
+            if (place && place.lat !== null) reference = { lat: place.lat, lon: place.lon };
+        }
+        if (!reference && this.map) {
+            const center = this.map.getCenter();
+            reference = { lat: center.lat, lon: center.lng };
+        }
+        if (!reference) {
+            return { error: 'error_plus_code_reference' };
+        }
+
+        return this.recoverPlusCode(code, reference.lat, reference.lon) || { error: 'error_plus_code' };
+    }
 
     /**
-     * Load and display available tags
+     * Decode a full plus code (Open Location Code) to the centre of its area
+     * @param {string} code - Full code, e.g. '6JRMM35C+42'
+     * @returns {Object|null} - {lat, lon}, or null if the code is not valid
      */
-    loadTags() {
-        const container = document.getElementById('tags-container');
-        container.innerHTML = '';
-        
-        this.config.tags.forEach(tag => {
-            const checkbox = document.createElement('input');
-            checkbox.type = 'checkbox';
-            checkbox.id = `tag-${tag.code}`;
-            checkbox.className = 'tag-checkbox';
-            checkbox.value = tag.code;
-            
-            const label = document.createElement('label');
-            label.className = 'tag-label';
-            label.setAttribute('for', `tag-${tag.code}`);
-            label.textContent = tag.label;
-            
-            // Add change event listener
-            checkbox.addEventListener('change', () => {
-                if (checkbox.checked) {
-                    if (!this.formData.tags.includes(tag.code)) {
-                        this.formData.tags.push(tag.code);
-                    }
+    decodePlusCode(code) {
+        const digits = code.replace('+', '').replace(/0+$/, '');
+        if (digits.length < 2 || digits.length % 2 !== 0 && digits.length < 10) return null;
+
+        let lat = -90;
+        let lon = -180;
+        let latSize = 20;
+        let lonSize = 20;
+
+        for (let i = 0; i < Math.min(digits.length, 10); i += 2) {
+            const latDigit = PLUS_CODE_ALPHABET.indexOf(digits[i]);
+            const lonDigit = PLUS_CODE_ALPHABET.indexOf(digits[i + 1]);
+            if (latDigit === -1 || lonDigit === -1) return null;
+
+            if (i > 0) {
+                latSize /= 20;
+                lonSize /= 20;
+            }
+            lat += latDigit * latSize;
+            lon += lonDigit * lonSize;
+        }
+
+        // Digits after the tenth refine a 5 x 4 grid
+        for (let i = 10; i < digits.length; i++) {
+            const digit = PLUS_CODE_ALPHABET.indexOf(digits[i]);
+            if (digit === -1) return null;
+
+            latSize /= 5;
+            lonSize /= 4;
+            lat += Math.floor(digit / 4) * latSize;
+            lon += (digit % 4) * lonSize;
+        }
+
+        return { lat: lat + latSize / 2, lon: lon + lonSize / 2 };
+    }
+
+    /**
+     * Complete a short plus code with the digits of the reference point,
+     * picking the matching area nearest to it
+     * @param {string} shortCode - Code with leading digits left out, e.g. 'M35C+42'
+     * @param {number} refLat - Reference latitude
+     * @param {number} refLon - Reference longitude
+     * @returns {Object|null} - {lat, lon}, or null if the code is not valid
+     */
+    recoverPlusCode(shortCode, refLat, refLon) {
+        const missing = 8 - shortCode.indexOf('+');
+        const resolution = Math.pow(20, 2 - missing / 2);
+
+        // Leading digits of the reference point's own code
+        let prefix = '';
+        let lat = refLat + 90;
+        let lon = refLon + 180;
+        for (let size = 20; prefix.length < missing; size /= 20) {
+            const latDigit = Math.min(Math.floor(lat / size), 19);
+            const lonDigit = Math.floor(lon / size) % 20;
+            prefix += PLUS_CODE_ALPHABET[latDigit] + PLUS_CODE_ALPHABET[lonDigit];
+            lat -= latDigit * size;
+            lon -= lonDigit * size;
+        }
+
+        const point = this.decodePlusCode(prefix + shortCode);
+        if (!point) return null;
+
+        // The reference may sit near the edge of its area; step to the closer neighbour
+        if (refLat + resolution / 2 < point.lat && point.lat - resolution >= -90) {
+            point.lat -= resolution;
+        } else if (refLat - resolution / 2 > point.lat && point.lat + resolution <= 90) {
+            point.lat += resolution;
+        }
+        if (refLon + resolution / 2 < point.lon) {
+            point.lon -= resolution;
+        } else if (refLon - resolution / 2 > point.lon) {
+            point.lon += resolution;
+        }
+
+        return point;
+    }
+
+    /**
+     * Load the optional landmark lists named in config.json (`landmark_lists`),
+     * GeoJSON files of points with a name, island and other spellings
+     */
+    async loadLandmarks() {
+        this.landmarks = [];
+
+        for (const source of this.config.landmark_lists || []) {
+            try {
+                const response = await fetch(`./${source}`);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                const list = await response.json();
+                this.landmarks.push(...(list.features || []).filter(feature =>
+                    feature.geometry && feature.geometry.type === 'Point'));
+            } catch (error) {
+                console.error(`Error loading landmarks ${source}:`, error);
+            }
+        }
+
+        console.log('Landmarks loaded:', this.landmarks.length);
+    }
+
+    /**
+     * Build the offline gazetteer: every island in islandlist.txt, with its
+     * centroid when it has an outline or a centroid, and every landmark
+     */
+    buildGazetteer() {
+        const islandFeatures = new Map(this.islands.map(feature => [feature.properties.name, feature]));
+
+        const islands = this.islandList.map(name => {
+            const properties = (islandFeatures.get(name) || {}).properties || {};
+            const centroid = this.getIslandCentroid(name);
+            const shortName = name.replace(/^\S+\s+/, ''); // Without the atoll code
+
+            return {
+                kind: 'island',
+                name,
+                label: name,
+                island: name,
+                lat: centroid ? centroid.lat : null,
+                lon: centroid ? centroid.lon : null,
+                keys: [name, shortName, ...(properties.alt_names || [])].map(key => this.normalizePlaceName(key))
+            };
+        });
+
+        const landmarks = this.landmarks.map(feature => {
+            const properties = feature.properties || {};
+            return {
+                kind: 'landmark',
+                name: properties.name,
+                label: properties.island ? `${properties.name} · ${properties.island}` : properties.name,
+                island: properties.island || '',
+                lat: feature.geometry.coordinates[1],
+                lon: feature.geometry.coordinates[0],
+                keys: [properties.name, ...(properties.alt_names || [])].map(key => this.normalizePlaceName(key))
+            };
+        });
+
+        this.gazetteer = [...islands, ...landmarks];
+    }
+
+    /**
+     * Reduce a place name to a spelling-neutral key, so transliteration
+     * variants match: Kun'burudhoo / Kunburudhoo, Kulhudhuffushi /
+     * Kulhudufushi, Male' / Malé
+     * @param {string} name - Place name
+     * @returns {string} - Lowercase key
+     */
+    normalizePlaceName(name) {
+        return String(name)
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')   // Accents
+            .toLowerCase()
+            .replace(/[^a-z0-9]/g, '')                        // Apostrophes, spaces, dots
+            .replace(/([dtl])h/g, '$1')                       // dh / d, th / t, lh / l
+            .replace(/oo/g, 'u')
+            .replace(/ee/g, 'i')
+            .replace(/(.)\1+/g, '$1');                        // Doubled letters
+    }
+
+    /**
+     * Search the gazetteer, allowing for typos
+     * @param {string} query - Search text
+     * @returns {Array<Object>} - Best matches first, at most eight
+     */
+    searchGazetteer(query) {
+        const key = this.normalizePlaceName(query);
+        if (key.length < 2) return [];
+
+        // One typo allowed per four letters
+        const allowedDistance = Math.floor(key.length / 4);
+
+        const scored = [];
+        this.gazetteer.forEach(place => {
+            let best = Infinity;
+            place.keys.forEach(placeKey => {
+                let score;
+                if (placeKey === key) {
+                    score = 0;
+                } else if (placeKey.startsWith(key)) {
+                    score = 1;
+                } else if (placeKey.includes(key)) {
+                    score = 2;
                 } else {
-                    this.formData.tags = this.formData.tags.filter(t => t !== tag.code);
+                    const distance = Math.min(
+                        this.getEditDistance(key, placeKey),
+                        this.getEditDistance(key, placeKey.slice(0, key.length))
+                    );
+                    score = distance <= allowedDistance ? 2 + distance : Infinity;
                 }
-                this.saveDraft();
+                best = Math.min(best, score);
             });
-            
-            container.appendChild(checkbox);
-            container.appendChild(label);
+            if (best < Infinity) {
+                scored.push({ place, score: best });
+            }
         });
+
+        return scored
+            .sort((a, b) => a.score - b.score || a.place.label.localeCompare(b.place.label))
+            .slice(0, 8)
+            .map(result => result.place);
     }
 
     /**
-     * Update notes character count
-     * @param {number} count - Current character count
+     * Count the single-letter edits that turn one string into another
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} - Levenshtein distance
      */
-    updateNotesCount(count) {
-        document.getElementById('notes-count').textContent = count;
-        this.formData.notes = document.getElementById('notes-input').value;
-        this.saveDraft();
+    getEditDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[b.length];
     }
 
     /**
-     * Handle photo file upload
-     * @param {FileList} files - Selected files
+     * List the gazetteer matches for the search text under the search box
+     * @param {string} query - Search text
+     * @returns {Array<Object>} - Matches shown
      */
-    handlePhotoUpload(files) {
-		const maxPhotos = this.config.max_photos || 5;
-		
-        if (this.formData.photos.length + files.length > maxPhotos) {
-            this.showError(`Maximum ${maxPhotos} photos allowed.`);
+    showPlaceResults(query) {
+        const list = document.getElementById('search-place-results');
+        if (!list) {
+            console.error('Search results list not found!');
+            return [];
+        }
+
+        const results = this.parseCoordinates(query) ? [] : this.searchGazetteer(query);
+
+        list.innerHTML = '';
+        results.forEach(place => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'list-group-item list-group-item-action';
+            item.innerHTML = `
+                <div class="search-place-name"></div>
+                <div class="text-muted small">${place.lat !== null ? this.t(`search_kind_${place.kind}`) : this.t('search_island_by_name')}</div>
+            `;
+            item.querySelector('.search-place-name').textContent = place.label;
+            item.onclick = () => this.selectPlaceResult(place);
+            list.appendChild(item);
+        });
+
+        return results;
+    }
+
+    /**
+     * Go to a place picked from the search results. Islands without an
+     * outline have no point to go to, so the entry is logged for the island
+     * by name instead.
+     * @param {Object} place - Gazetteer entry
+     */
+    selectPlaceResult(place) {
+        if (place.lat !== null) {
+            this.goToSearchPoint(place.lat, place.lon);
             return;
         }
+
+        this.setEntryMode('island');
+        document.getElementById('island-select').value = place.island;
+        document.getElementById('manual-search').style.display = 'none';
+        document.getElementById('search-input').value = '';
+        document.getElementById('search-place-results').innerHTML = '';
+    }
+
+    /**
+     * Confirm current location and proceed to form
+     */
+    confirmLocation() {
+        if (this.entryMode === 'map' && this.isShapeEntry()) {
+            const minimum = this.formData.shape === 'area' ? 3 : 2;
+            if ((this.formData.vertices || []).length < minimum) {
+                this.showError(this.t('error_geometry_points', { count: minimum }));
+                return;
+            }
+
+            // The island and atoll come from the middle of the shape
+            const center = this.getShapeCenter(this.formData.vertices);
+            if (!this.findIslandAt(center.lat, center.lon) && this.islandOutlines.length > 0
+                && !confirm(this.t('confirm_off_island'))) {
+                return;
+            }
+            this.stopGeometryTracking();
+            this.stopLocationSampling();
+            this.formData.island = this.locateIsland(center.lat, center.lon);
+            this.formData.atoll = this.getAtoll(this.formData.island);
+        } else if (this.entryMode === 'map') {
+            if (!this.formData.lat || !this.formData.lon) {
+                this.showError(this.t('error_select_location'));
+                return;
+            }
+            if (this.isNullIsland(this.formData.lat, this.formData.lon)) {
+                this.showError(this.t('error_null_island'));
+                return;
+            }
+
+            // A weak GPS fix is refused or double-checked, unless the pin was placed by hand
+            const accuracy = this.formData.gps_accuracy_m;
+            if (this.formData.gps_method && !this.isPinPlacedByHand()) {
+                if (accuracy > (this.config.gps_max_accuracy_m || Infinity)) {
+                    this.showError(this.t('error_gps_accuracy', { accuracy, max: this.config.gps_max_accuracy_m }));
+                    return;
+                }
+                if (accuracy > (this.config.gps_warn_accuracy_m || Infinity) && !confirm(this.t('confirm_gps_accuracy', { accuracy }))) {
+                    return;
+                }
+            }
+            this.stopLocationSampling();
+
+            // A pin on no island is likely a slip
+            if (!this.findIslandAt(this.formData.lat, this.formData.lon) && this.islandOutlines.length > 0
+                && !confirm(this.t('confirm_off_island'))) {
+                return;
+            }
+
+            // The island and atoll come from the pin
+            this.formData.island = this.locateIsland(this.formData.lat, this.formData.lon);
+            this.formData.atoll = this.getAtoll(this.formData.island);
+        } else { // island mode
+            const islandSelect = document.getElementById('island-select');
+            const selectedIsland = islandSelect.value;
+            if (!selectedIsland) {
+                this.showError(this.t('error_select_island'));
+                return;
+            }
+            this.formData.island = selectedIsland;
+            this.formData.atoll = this.getAtoll(selectedIsland);
+
+            // With no GPS point, the island's centroid stands in when it has an outline
+            const centroid = this.getIslandCentroid(selectedIsland);
+            this.formData.lat = centroid ? centroid.lat : null;
+            this.formData.lon = centroid ? centroid.lon : null;
+            this.formData.gps_accuracy_m = null;
+            this.formData.gps_sample_count = null;
+            this.formData.gps_method = '';
+            this.formData.pin_moved = false;
+            this.formData.location_source = 'island';
+            this.formData.gps_lat = null;
+            this.formData.gps_lon = null;
+            this.formData.pin_origin = null;
+            this.formData.drag_distance_m = null;
+        }
+
+        // Save current state to draft
+        this.saveDraft();
         
-		Array.from(files).forEach(file => {
-			// Always attempt compression regardless of original size
-			this.compressAndAddPhoto(file);
-		});
-        
-        // Clear file input
-        document.getElementById('photo-input').value = '';
+        // Move to form screen (popup will show automatically)
+        this.showScreen('form-screen');
     }
 
     /**
-     * Compress and add photo to the form
-     * @param {File} file - Photo file to compress
+     * Sets the data entry mode ('map' or 'island') and updates the UI.
+     * @param {string} mode - The mode to switch to.
      */
-	compressAndAddPhoto(file) {
-		// Size target after compression (bytes)
-		const maxSize = (this.config.max_photo_size_mb || 2) * 1024 * 1024;
-		const maxWidth = this.config.photo_max_width || 1600;
-		const quality = this.config.photo_compression_quality || 0.8;
+    setEntryMode(mode) {
+        this.entryMode = mode;
 
-		const reader = new FileReader();
-		reader.onerror = () => {
-			this.handleCompressionFailure(file, 'Could not read file.');
-		};
-		reader.onload = (e) => {
-			const img = new Image();
-			img.onerror = () => {
-				this.handleCompressionFailure(file, 'Could not decode image.');
-			};
-			img.onload = () => {
-				try {
-					const canvas = document.createElement('canvas');
-					const ctx = canvas.getContext('2d');
-					let { width, height } = img;
-					if (width > maxWidth) {
-						height = (height * maxWidth) / width;
-						width = maxWidth;
-					}
-					canvas.width = width;
-					canvas.height = height;
-					ctx.drawImage(img, 0, 0, width, height);
-					canvas.toBlob((blob) => {
-						if (!blob) {
-							this.handleCompressionFailure(file, 'Compression returned no data.');
-							return;
-						}
-						if (blob.size > maxSize) {
-							this.handleCompressionFailure(file, 'Compressed image is still too large.');
-							return;
-						}
-						const compressedFile = new File([blob], file.name, {
-							type: 'image/jpeg',
-							lastModified: Date.now()
-						});
-						this.addPhotoToForm(compressedFile);
-					}, 'image/jpeg', quality);
-				} catch (err) {
-					this.handleCompressionFailure(file, 'Compression failed.');
-				}
-			};
-			img.src = e.target.result;
-		};
-		reader.readAsDataURL(file);
-	}
+        const mapContainer = document.getElementById('map-mode-container');
+        const islandContainer = document.getElementById('island-mode-container');
+        const toggleBtn = document.getElementById('toggle-entry-mode-btn');
+        const title = document.getElementById('location-screen-title');
+        const subtitle = document.getElementById('location-screen-subtitle');
 
-	/**
+        if (mode === 'island') {
+            mapContainer.style.display = 'none';
+            islandContainer.style.display = 'block';
+            toggleBtn.textContent = this.t('use_map');
+            title.textContent = this.t('island_title');
+            subtitle.textContent = this.t('island_subtitle');
+            this.populateIslandList();
+        } else { // map mode
+            mapContainer.style.display = 'block';
+            islandContainer.style.display = 'none';
+            toggleBtn.textContent = this.t('use_island');
+            title.textContent = this.t('location_title');
+            subtitle.textContent = this.t('location_subtitle');
+        }
+    }
+
+    /**
+     * Show category selection popup
+     */
+    showCategoryPopup() {
+        console.log('Showing category popup...');
+        const popup = document.getElementById('category-popup');
+        if (popup) {
+            popup.style.display = 'flex';
+            this.loadCategoryGrid();
+            console.log('Category popup should be visible now');
+        } else {
+            console.error('Category popup element not found!');
+        }
+    }
+
+    /**
+     * Populates the island selection dropdown.
+     */
+    populateIslandList() {
+        const islandSelect = document.getElementById('island-select');
+        if (!islandSelect) return;
+
+        islandSelect.innerHTML = `<option value="">${this.t('select_island_option')}</option>`; // Clear existing options
+
+        this.islandList.forEach(islandName => {
+            const option = document.createElement('option');
+            option.value = islandName;
+            option.textContent = islandName;
+            islandSelect.appendChild(option);
+        });
+
+        // Campaigns on one island start with it chosen
+        if (this.campaign && this.campaign.island) {
+            islandSelect.value = this.campaign.island;
+        }
+    }
+
+    /**
+     * Hide category selection popup
+     */
+    hideCategoryPopup() {
+        document.getElementById('category-popup').style.display = 'none';
+    }
+
+    /**
+     * Load category grid with icons
+     */
+    loadCategoryGrid() {
+        console.log('Loading category grid...');
+        const quickDropContainer = document.getElementById('quick-drop-grid');
+        const regularContainer = document.getElementById('category-grid');
+
+        if (!quickDropContainer || !regularContainer) {
+            console.error('Category grid containers not found!');
+            return;
+        }
+        
+        quickDropContainer.innerHTML = '';
+        regularContainer.innerHTML = '';
+
+        const quickDropCategory = this.config.categories.find(c => c.code === 'immediate_drops');
+        if (quickDropCategory && quickDropCategory.subcategories) {
+            quickDropCategory.subcategories.forEach(subcat => {
+                if (!this.isAllowedInCampaign(quickDropCategory.code, subcat.code)) return;
+
+                const quickDropItem = document.createElement('div');
+                quickDropItem.className = 'category-item quick-drop-item';
+                quickDropItem.onclick = () => this.handleQuickDropSelect(quickDropCategory, subcat);
+
+                const icon = document.createElement('div');
+                icon.className = 'category-item-icon';
+                icon.textContent = CATEGORY_ICONS[subcat.code] || '⚡';
+
+                const label = document.createElement('div');
+                label.className = 'category-item-label';
+                label.textContent = this.translateLabel(subcat.label);
+
+                quickDropItem.appendChild(icon);
+                quickDropItem.appendChild(label);
+                quickDropContainer.appendChild(quickDropItem);
+            });
+        }
+
+
+        console.log('Categories to load:', this.config.categories.length);
+        this.config.categories.forEach(category => {
+            if (category.code === 'immediate_drops') return; // Skip the quick drop category itself
+            if (!this.isAllowedInCampaign(category.code)) return;
+
+            const categoryItem = document.createElement('div');
+            categoryItem.className = 'category-item';
+            categoryItem.onclick = () => this.selectCategory(category);
+
+            const icon = document.createElement('div');
+            icon.className = 'category-item-icon';
+            icon.textContent = CATEGORY_ICONS[category.code] || '📍';
+
+            const label = document.createElement('div');
+            label.className = 'category-item-label';
+            label.textContent = this.translateLabel(category.label);
+
+            categoryItem.appendChild(icon);
+            categoryItem.appendChild(label);
+            regularContainer.appendChild(categoryItem);
+        });
+        
+        // A campaign may leave one of the grids empty, or rule out free notes
+        const divider = document.querySelector('#category-grid-container .category-divider');
+        if (divider) {
+            divider.style.display = quickDropContainer.children.length && regularContainer.children.length ? '' : 'none';
+        }
+        const otherNoteBtn = document.getElementById('other-note-btn');
+        if (otherNoteBtn) {
+            otherNoteBtn.style.display = this.isAllowedInCampaign('other', 'quick_note') ? '' : 'none';
+        }
+
+        console.log('Category grid loaded with', regularContainer.children.length, 'items');
+    }
+
+    /**
+     * Handle a quick drop selection
+     * @param {Object} category - The parent "Quick Drops" category
+     * @param {Object} subcategory - The specific quick drop item selected
+     */
+    handleQuickDropSelect(category, subcategory) {
+        this.clearDynamicFields();
+
+        this.formData.category = category.code;
+        this.formData.subcategory = subcategory.code;
+
+        this.hideCategoryPopup();
+        this.showSelectedCategory(category);
+        this.showVisitPicker(category);
+        
+        // Hide subcategory dropdown and show the rest of the form
+        document.getElementById('subcategory-section').style.display = 'none';
+        this.showSection('notes-section');
+        this.showSection('tags-section');
+        this.showSection('photos-section');
+        this.showSection('submit-section');
+
+        this.saveDraft();
+    }
+
+    /**
+     * Select a category and proceed
+     * @param {Object} category - Selected category object
+     */
+    selectCategory(category) {
+        this.clearDynamicFields();
+        // Also hide sections that are shown on subcategory selection
+        document.getElementById('notes-section').style.display = 'none';
+        document.getElementById('tags-section').style.display = 'none';
+        document.getElementById('photos-section').style.display = 'none';
+        document.getElementById('submit-section').style.display = 'none';
+
+        // DIRECT NAVIGATION: If there's only one subcategory, select it automatically.
+        if (category.subcategories && category.subcategories.length === 1) {
+            this.formData.category = category.code;
+            this.formData.subcategory = category.subcategories[0].code;
+
+            this.hideCategoryPopup();
+            this.showSelectedCategory(category);
+            this.showVisitPicker(category);
+            this.onSubcategoryChange(this.formData.subcategory); // Go straight to the form
+            this.saveDraft();
+            return;
+        }
+
+        this.formData.category = category.code;
+        
+        // Hide popup
+        this.hideCategoryPopup();
+        
+        // Show selected category
+        this.showSelectedCategory(category);
+
+        // Offer places mapped before, for categories surveyed repeatedly
+        this.showVisitPicker(category);
+        
+        // Load subcategories
+        this.loadSubcategories(category);
+        
+        // Show subcategory section
+        this.showSection('subcategory-section');
+        
+        // Save draft
+        this.saveDraft();
+    }
+
+    /**
+     * Check whether a category is meant to be surveyed again at the same
+     * place, such as monthly price checks (`repeatable` in config.json)
+     * @param {string} categoryCode - Category code
+     * @returns {boolean} - True if entries in the category are linked to a place
+     */
+    isRepeatableCategory(categoryCode) {
+        const category = this.config.categories.find(c => c.code === categoryCode);
+        return Boolean(category && category.repeatable);
+    }
+
+    /**
+     * Offer the places this device mapped before in a repeatable category,
+     * nearest first, so the new entry can be added as a repeat visit
+     * @param {Object} category - Selected category
+     */
+    async showVisitPicker(category) {
+        const section = document.getElementById('visit-section');
+        const select = document.getElementById('visit-select');
+        if (!section || !select) {
+            console.error('Visit picker not found!');
+            return;
+        }
+
+        let places = [];
+        if (category.repeatable) {
+            try {
+                places = (await this.dbGetAll('places')).filter(place => place.category === category.code);
+            } catch (error) {
+                console.error('Failed to load places:', error);
+            }
+        }
+        this.visitPlaces = places;
+
+        // A place picked under another category no longer applies
+        if (this.formData.place_id && !places.some(place => place.place_id === this.formData.place_id)) {
+            delete this.formData.place_id;
+        }
+
+        if (places.length === 0) {
+            section.style.display = 'none';
+            return;
+        }
+
+        const lat = parseFloat(this.formData.lat);
+        const lon = parseFloat(this.formData.lon);
+        const distanceTo = place => {
+            const placeLat = parseFloat(place.lat);
+            const placeLon = parseFloat(place.lon);
+            if (isNaN(lat) || isNaN(lon) || isNaN(placeLat) || isNaN(placeLon)) return Infinity;
+            return L.latLng(lat, lon).distanceTo([placeLat, placeLon]);
+        };
+        places.sort((a, b) => (distanceTo(a) - distanceTo(b)) || b.last_visited_at.localeCompare(a.last_visited_at));
+
+        select.innerHTML = `<option value="">${this.t('visit_new_place')}</option>`;
+        places.forEach(place => {
+            const option = document.createElement('option');
+            option.value = place.place_id;
+            option.textContent = this.t('visit_option', {
+                name: place.name || this.t('visit_unnamed'),
+                date: new Date(place.last_visited_at).toLocaleDateString(this.language),
+                count: place.visits.length
+            });
+            select.appendChild(option);
+        });
+        select.value = this.formData.place_id || '';
+
+        this.showSection('visit-section');
+    }
+
+    /**
+     * Link the entry to a place mapped before, or unlink it to start a new
+     * place. The place's name and subcategory are filled in if still empty.
+     * @param {string} placeId - Place ID, or empty for a new place
+     */
+    selectVisitPlace(placeId) {
+        const place = this.visitPlaces.find(p => p.place_id === placeId);
+        if (!place) {
+            delete this.formData.place_id;
+            this.saveDraft();
+            return;
+        }
+
+        this.formData.place_id = place.place_id;
+
+        if (!this.formData.title_or_name && place.name) {
+            this.formData.title_or_name = place.name;
+            const nameInput = document.getElementById('field-title_or_name');
+            if (nameInput) nameInput.value = place.name;
+        }
+
+        if (!this.formData.subcategory && place.subcategory) {
+            document.getElementById('subcategory-select').value = place.subcategory;
+            this.onSubcategoryChange(place.subcategory);
+        }
+
+        this.saveDraft();
+    }
+
+    /**
+     * Get the place ID of the entry. The first entry at a place in a
+     * repeatable category starts a new place.
+     * @returns {string} - Place ID, or empty for categories without places
+     */
+    getOrCreatePlaceId() {
+        if (!this.formData.place_id && this.isRepeatableCategory(this.formData.category)) {
+            this.formData.place_id = this.generateUUID();
+        }
+        return this.formData.place_id || '';
+    }
+
+    /**
+     * Save the place an entry was made at, or add the entry to its visits,
+     * so later entries can be linked to it
+     * @param {Object} submissionData - Data from prepareSubmissionData
+     */
+    async rememberPlace(submissionData) {
+        if (!submissionData.place_id) return;
+
+        try {
+            const place = await this.dbGet('places', submissionData.place_id) || {
+                place_id: submissionData.place_id,
+                visits: []
+            };
+
+            // The latest visit decides the name and position shown in the list
+            place.category = submissionData.category;
+            place.subcategory = submissionData.subcategory;
+            place.name = submissionData.title_or_name || place.name || '';
+            place.lat = submissionData.lat;
+            place.lon = submissionData.lon;
+
+            if (!place.visits.some(visit => visit.submission_id === submissionData.submission_id)) {
+                place.visits.push({
+                    submission_id: submissionData.submission_id,
+                    visited_at: submissionData.submitted_at_iso
+                });
+            }
+            place.last_visited_at = place.visits.map(visit => visit.visited_at).sort().pop();
+
+            await this.dbPut('places', place);
+        } catch (error) {
+            console.error('Failed to save place:', error);
+        }
+    }
+
+    /**
+     * Take an entry that was never sent back out of its place's visits,
+     * forgetting the place if that was its only visit
+     * @param {Object} submissionData - Data from prepareSubmissionData
+     */
+    async forgetPlaceVisit(submissionData) {
+        if (!submissionData.place_id) return;
+
+        try {
+            const place = await this.dbGet('places', submissionData.place_id);
+            if (!place) return;
+
+            place.visits = place.visits.filter(visit => visit.submission_id !== submissionData.submission_id);
+            if (place.visits.length === 0) {
+                await this.dbDelete('places', place.place_id);
+                return;
+            }
+            place.last_visited_at = place.visits.map(visit => visit.visited_at).sort().pop();
+            await this.dbPut('places', place);
+        } catch (error) {
+            console.error('Failed to update place:', error);
+        }
+    }
+
+    /**
+     * Show selected category display
+     * @param {Object} category - Selected category
+     */
+    showSelectedCategory(category) {
+        const selectedDiv = document.getElementById('selected-category');
+        const iconEl = document.getElementById('category-icon');
+        const nameEl = document.getElementById('category-name');
+        const descEl = document.getElementById('category-description');
+        
+        iconEl.textContent = CATEGORY_ICONS[category.code] || '📍';
+        nameEl.textContent = this.translateLabel(category.label);
+        descEl.textContent = this.t('change_category');
+        
+        selectedDiv.style.display = 'block';
+        
+        // Make it clickable to change category
+        selectedDiv.onclick = () => this.showCategoryPopup();
+    }
+
+    /**
+     * Load subcategories for selected category
+     * @param {Object} category - Selected category
+     */
+    loadSubcategories(category) {
+        const subcategorySelect = document.getElementById('subcategory-select');
+        subcategorySelect.innerHTML = `<option value="">${this.t('select_option')}</option>`;
+        
+        if (category && category.subcategories) {
+            category.subcategories.forEach(subcategory => {
+                if (!this.isAllowedInCampaign(category.code, subcategory.code)) return;
+
+                const option = document.createElement('option');
+                option.value = subcategory.code;
+                option.textContent = this.translateLabel(subcategory.label);
+                subcategorySelect.appendChild(option);
+            });
+        }
+    }
+
+    /**
+     * Show a form section with animation
+     * @param {string} sectionId - ID of section to show
+     */
+    showSection(sectionId) {
+        const section = document.getElementById(sectionId);
+        section.style.display = 'block';
+        section.classList.add('show');
+    }
+
+    /**
+     * Load form data and setup form
+     */
+    loadFormData() {
+        // Clear subcategory dropdown
+        const subcategorySelect = document.getElementById('subcategory-select');
+        subcategorySelect.innerHTML = `<option value="">${this.t('select_option')}</option>`;
+
+        // Load tags
+        this.loadTags();
+    }
+
+    /**
+     * Handle subcategory selection change
+     * @param {string} subcategoryCode - Selected subcategory code
+     */
+    onSubcategoryChange(subcategoryCode) {
+        this.formData.subcategory = subcategoryCode;
+        
+        // Show remaining sections
+        this.showSection('notes-section');
+        this.showSection('tags-section');
+        this.showSection('photos-section');
+        this.showSection('submit-section');
+        
+        // Add category-specific fields for certain subcategories
+        this.addCategorySpecificFields(subcategoryCode);
+        
+        // Save draft
+        this.saveDraft();
+    }
+
+    /**
+     * Add category-specific fields based on subcategory
+     * @param {string} subcategoryCode - Selected subcategory code
+     */
+    addCategorySpecificFields(subcategoryCode) {
+        // Clear any existing dynamic fields
+        this.clearDynamicFields();
+        
+        // Handle immediate drops - skip subcategory selection
+        if (this.isImmediateDrop(subcategoryCode)) {
+            this.handleImmediateDrop(subcategoryCode);
+            return;
+        }
+        
+        // Handle quick note - skip subcategory selection
+        if (subcategoryCode === 'quick_note') {
+            this.handleQuickNote();
+            return;
+        }
+
+        // Build any fields config.json declares for this subcategory
+        const fields = this.getSchemaFields(subcategoryCode);
+        if (fields.length > 0) {
+            this.renderSchemaFields(fields);
+        }
+    }
+
+    /**
+     * Get the form fields declared in config.json for a subcategory.
+     * Fields on the category apply to all of its subcategories and come first.
+     * @param {string} subcategoryCode - Selected subcategory code
+     * @returns {Array<Object>} - Field definitions
+     */
+    getSchemaFields(subcategoryCode) {
+        const category = this.config.categories.find(c => c.code === this.formData.category);
+        if (!category) return [];
+
+        const subcategory = (category.subcategories || []).find(s => s.code === subcategoryCode);
+        return [
+            ...(category.fields || []),
+            ...((subcategory && subcategory.fields) || [])
+        ];
+    }
+
+    /**
+     * Check whether a field type holds a single value stored in its own column
+     * @param {Object} field - Field definition
+     * @returns {boolean} - False for composite widgets like tables and checklists
+     */
+    isValueField(field) {
+        return field.type !== 'rapid_entry' && field.type !== 'checklist';
+    }
+
+    /**
+     * Get the options for a select field, either inline or from a config list
+     * @param {Object} field - Field definition
+     * @returns {Array<Object>} - Options as {value, label}
+     */
+    getFieldOptions(field) {
+        const options = field.options || this.config[field.options_source] || [];
+        return options.map(option => {
+            if (typeof option === 'string') {
+                return { value: option, label: option };
+            }
+            return { value: option.name || option.code || option.value, label: option.label };
+        });
+    }
+
+    /**
+     * Evaluate a field's show_if condition against the current form data
+     * @param {Object} field - Field definition
+     * @returns {boolean} - True if the field should be shown
+     */
+    isFieldVisible(field) {
+        const condition = field.show_if;
+        if (!condition) return true;
+
+        const value = this.formData[condition.field];
+        if ('equals' in condition) return value === condition.equals;
+        if (condition.in) return condition.in.includes(value);
+        if (condition.not_empty) return value !== undefined && value !== '';
+        return true;
+    }
+
+    /**
+     * Build form inputs from field definitions
+     * @param {Array<Object>} fields - Field definitions from getSchemaFields
+     */
+    renderSchemaFields(fields) {
+        const container = document.getElementById('dynamic-fields');
+
+        fields.forEach(field => {
+            if (field.type === 'rapid_entry') {
+                this.buildRapidEntryTable(this.formData.subcategory);
+                return;
+            }
+            if (field.type === 'checklist') {
+                this.addAccessibilityChecklist(field);
+                return;
+            }
+
+            const inputId = `field-${field.name}`;
+            const fieldDiv = document.createElement('div');
+            fieldDiv.className = 'form-section';
+            fieldDiv.dataset.fieldName = field.name;
+
+            const label = document.createElement('label');
+            label.className = 'form-label';
+            label.setAttribute('for', inputId);
+            label.textContent = `${this.translateLabel(field.label)}${field.unit ? ` (${field.unit})` : ''}${field.required ? ' *' : ''}`;
+            fieldDiv.appendChild(label);
+
+            let input;
+            if (field.type === 'select') {
+                input = document.createElement('select');
+                input.className = 'form-select';
+                input.innerHTML = `<option value="">${this.t('select_option')}</option>`;
+                this.getFieldOptions(field).forEach(option => {
+                    const optionEl = document.createElement('option');
+                    optionEl.value = option.value;
+                    optionEl.textContent = this.translateLabel(option.label);
+                    input.appendChild(optionEl);
+                });
+            } else if (field.type === 'textarea') {
+                input = document.createElement('textarea');
+                input.className = 'form-control';
+                input.rows = 3;
+            } else {
+                input = document.createElement('input');
+                input.className = 'form-control';
+                input.type = ['number', 'tel', 'email', 'date', 'time'].includes(field.type) ? field.type : 'text';
+                if (field.min !== undefined) input.min = field.min;
+                if (field.max !== undefined) input.max = field.max;
+                if (field.step !== undefined) input.step = field.step;
+                if (field.type === 'number' && field.step === undefined) input.step = 'any';
+            }
+
+            input.id = inputId;
+            if (field.placeholder) input.placeholder = this.translateLabel(field.placeholder);
+            if (field.required) input.required = true;
+            if (this.formData[field.name] !== undefined) input.value = this.formData[field.name];
+
+            input.addEventListener('change', (e) => {
+                this.formData[field.name] = e.target.value;
+                this.updateFieldVisibility(fields);
+                this.saveDraft();
+            });
+
+            fieldDiv.appendChild(input);
+            container.appendChild(fieldDiv);
+        });
+
+        this.updateFieldVisibility(fields);
+    }
+
+    /**
+     * Show or hide fields whose show_if condition depends on other answers.
+     * Hidden fields lose their value so it is not submitted.
+     * @param {Array<Object>} fields - Field definitions
+     */
+    updateFieldVisibility(fields) {
+        fields.forEach(field => {
+            const fieldDiv = document.querySelector(`#dynamic-fields [data-field-name="${field.name}"]`);
+            if (!fieldDiv) return;
+
+            const visible = this.isFieldVisible(field);
+            fieldDiv.style.display = visible ? 'block' : 'none';
+            if (!visible && this.formData[field.name] !== undefined) {
+                delete this.formData[field.name];
+                const input = fieldDiv.querySelector('input, select, textarea');
+                if (input) input.value = '';
+            }
+        });
+    }
+
+    /**
+     * Check the form data against field definitions
+     * @param {Array<Object>} fields - Field definitions
+     * @returns {string|null} - Error message for the first problem, or null if valid
+     */
+    validateSchemaFields(fields) {
+        for (const field of fields) {
+            const label = this.translateLabel(field.label);
+
+            // Rapid entry tables accept partial data but need at least one row
+            if (field.type === 'rapid_entry') {
+                const anyData = this.formData.subcategory === 'price_item'
+                    ? this.getPriceBasketData()
+                    : this.getPharmacyStockData();
+                if (field.required && !anyData) {
+                    return this.t('error_fill_table', { label: label.toLowerCase() });
+                }
+                continue;
+            }
+
+            if (!this.isValueField(field) || !this.isFieldVisible(field)) continue;
+
+            const value = this.formData[field.name];
+            const isEmpty = value === undefined || value === null || String(value).trim() === '';
+
+            if (isEmpty) {
+                if (field.required) {
+                    return this.t('error_fill_field', { label: label });
+                }
+                continue;
+            }
+
+            if (field.type === 'number') {
+                const number = Number(value);
+                const unit = field.unit ? ` ${field.unit}` : '';
+                if (isNaN(number)) {
+                    return this.t('error_not_number', { label: label });
+                }
+                if (field.min !== undefined && number < field.min) {
+                    return this.t('error_below_min', { label: label, min: field.min, unit: unit });
+                }
+                if (field.max !== undefined && number > field.max) {
+                    return this.t('error_above_max', { label: label, max: field.max, unit: unit });
+                }
+            }
+
+            if (field.type === 'select') {
+                const allowed = this.getFieldOptions(field).map(option => String(option.value));
+                if (!allowed.includes(String(value))) {
+                    return this.t('error_invalid_option', { label: label });
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Collect the values of visible schema fields for submission
+     * @param {string} subcategoryCode - Selected subcategory code
+     * @returns {Object} - Field values keyed by field name
+     */
+    getSchemaFieldValues(subcategoryCode) {
+        const values = {};
+        this.getSchemaFields(subcategoryCode).forEach(field => {
+            // Checklists become a column per item plus their scores
+            if (field.type === 'checklist') {
+                Object.assign(values, this.getChecklistValues(field));
+                return;
+            }
+            if (!this.isValueField(field) || !this.isFieldVisible(field)) return;
+            const value = this.formData[field.name];
+            if (value !== undefined && value !== '') {
+                values[field.name] = value;
+            }
+        });
+        return values;
+    }
+
+    /**
+     * Check if subcategory is an immediate drop
+     * @param {string} subcategoryCode - Subcategory code to check
+     * @returns {boolean} - True if immediate drop
+     */
+    isImmediateDrop(subcategoryCode) {
+        const immediateDrops = [
+            'motorcycle', 'car', 'broken_vehicle', 'road_depression', 'unpaved',
+            'working_streetlight', 'broken_streetlight', 'under_construction',
+            'abandoned_construction', 'rubble', 'garbage_bin', 'vacant_home', 'flood_zone'
+        ];
+        return immediateDrops.includes(subcategoryCode);
+    }
+
+    /**
+     * Handle immediate drop - skip to notes/photos
+     * @param {string} subcategoryCode - Immediate drop code
+     */
+    handleImmediateDrop(subcategoryCode) {
+        // Hide subcategory section since we're skipping it
+        document.getElementById('subcategory-section').style.display = 'none';
+        
+        // Show remaining sections immediately
+        this.showSection('notes-section');
+        this.showSection('tags-section');
+        this.showSection('photos-section');
+        this.showSection('submit-section');
+    }
+
+    /**
+     * Handle quick note - skip to notes/photos
+     */
+    handleQuickNote() {
+        // Hide subcategory section since we're skipping it
+        document.getElementById('subcategory-section').style.display = 'none';
+        
+        // Show remaining sections immediately
+        this.showSection('notes-section');
+        this.showSection('tags-section');
+        this.showSection('photos-section');
+        this.showSection('submit-section');
+    }
+
+    /**
+     * Builds a table for rapid data entry for price basket and pharmacy stock.
+     * Each row records the catalog version its item was answered with.
+     * @param {string} type - 'price_item' or 'pharmacy_stock'
+     */
+    buildRapidEntryTable(type) {
+        const container = document.getElementById('dynamic-fields');
+
+        const catalog = this.catalogs[RAPID_ENTRY_CATALOGS[type]];
+        const isPriceBasket = type === 'price_item';
+        const formDataType = isPriceBasket ? 'price_basket_data' : 'pharmacy_stock_data';
+
+        if (!this.formData[formDataType]) {
+            this.formData[formDataType] = {};
+        }
+        const items = this.getRapidEntryItems(catalog, this.formData[formDataType]);
+
+        const tableContainer = document.createElement('div');
+        tableContainer.className = 'form-section rapid-entry-container';
+        
+        const table = document.createElement('table');
+        table.className = 'table rapid-entry-table';
+        
+        // Header
+        const thead = document.createElement('thead');
+        thead.innerHTML = isPriceBasket ?
+            `<tr><th>${this.t('table_item')}</th><th>${this.t('table_price')}</th><th>${this.t('table_in_stock')}</th></tr>` :
+            `<tr><th>${this.t('table_medicine')}</th><th>${this.t('table_availability')}</th><th>${this.t('table_price')}</th></tr>`;
+        table.appendChild(thead);
+
+        // Body
+        const tbody = document.createElement('tbody');
+        items.forEach(item => {
+            const row = document.createElement('tr');
+            const itemId = item.name;
+            const saved = this.formData[formDataType][itemId];
+            row.dataset.itemId = itemId;
+            row.dataset.itemLabel = item.label;
+            row.dataset.catalogVersion = saved && saved.catalog_version ? saved.catalog_version : catalog.version;
+            if (item.retired) {
+                row.className = 'rapid-entry-retired';
+                row.title = this.t('catalog_item_retired');
+            }
+
+            if (isPriceBasket) {
+                const priceValue = this.formData[formDataType][itemId] ? this.formData[formDataType][itemId].price : '';
+                const stockValue = this.formData[formDataType][itemId] ? this.formData[formDataType][itemId].stock : '';
+                row.innerHTML = `
+                    <td>${this.translateLabel(item.label)}</td>
+                    <td><input type="number" class="form-control price-input" placeholder="${this.t('price_placeholder')}" value="${priceValue}"></td>
+                    <td>
+                        <select class="form-select stock-select">
+                            <option value="">${this.t('select_option')}</option>
+                            <option value="yes" ${stockValue === 'yes' ? 'selected' : ''}>${this.t('yes')}</option>
+                            <option value="no" ${stockValue === 'no' ? 'selected' : ''}>${this.t('no')}</option>
+                        </select>
+                    </td>
+                `;
+            } else { // Pharmacy Stock
+                const stockValue = this.formData[formDataType][itemId] ? this.formData[formDataType][itemId].stock : '';
+                const priceValue = this.formData[formDataType][itemId] ? this.formData[formDataType][itemId].price || '' : '';
+                row.innerHTML = `
+                    <td>${this.translateLabel(item.label)}</td>
+                    <td>
+                        <select class="form-select stock-select">
+                            <option value="">${this.t('select_option')}</option>
+                            <option value="in_stock" ${stockValue === 'in_stock' ? 'selected' : ''}>${this.t('stock_in')}</option>
+                            <option value="out_of_stock" ${stockValue === 'out_of_stock' ? 'selected' : ''}>${this.t('stock_out')}</option>
+                            <option value="limited" ${stockValue === 'limited' ? 'selected' : ''}>${this.t('stock_limited')}</option>
+                        </select>
+                    </td>
+                    <td><input type="number" class="form-control price-input" placeholder="${this.t('optional')}" value="${priceValue}"></td>
+                `;
+            }
+            tbody.appendChild(row);
+        });
+        table.appendChild(tbody);
+        
+        tableContainer.appendChild(table);
+        container.appendChild(tableContainer);
+
+        // Add event listeners for inputs to save draft
+        container.querySelectorAll('input, select').forEach(el => {
+            el.addEventListener('change', () => this.updateTableFormData(type));
+        });
+
+        // Show the container
+        this.showSection('dynamic-fields');
+    }
+
+    /**
+     * Reads the state of the rapid entry table and saves it to formData.
+     * @param {string} type - 'price_item' or 'pharmacy_stock'
+     */
+    updateTableFormData(type) {
+        const isPriceBasket = type === 'price_item';
+        const formDataType = isPriceBasket ? 'price_basket_data' : 'pharmacy_stock_data';
+        
+        if (!this.formData[formDataType]) {
+            this.formData[formDataType] = {};
+        }
+
+        const table = document.querySelector('.rapid-entry-table');
+        if (!table) return;
+
+        table.querySelectorAll('tbody tr').forEach(row => {
+            const itemId = row.dataset.itemId;
+            const priceInput = row.querySelector('.price-input');
+            const stockSelect = row.querySelector('.stock-select');
+            this.formData[formDataType][itemId] = {
+                price: priceInput.value,
+                stock: stockSelect.value,
+                label: row.dataset.itemLabel,
+                catalog_version: Number(row.dataset.catalogVersion)
+            };
+        });
+
+        this.saveDraft();
+    }
+
+    /**
+     * Gets the formatted price basket data string for submission.
+     */
+    getPriceBasketData() {
+        const table = document.querySelector('.rapid-entry-table');
+        if (!table) return '';
+
+        const items = [];
+        table.querySelectorAll('tbody tr').forEach(row => {
+            // Keyed by item ID, so the data doesn't change with the interface language
+            const itemName = row.dataset.itemId;
+            const price = row.querySelector('.price-input').value.trim();
+            const stock = row.querySelector('.stock-select').value;
+            
+            if (price || stock) { // Only include rows that have been filled
+                items.push(`${itemName}:${price || 'N/A'}:${stock || 'N/A'}`);
+            }
+        });
+
+        return items.join('; ');
+    }
+
+    /**
+     * Gets the formatted pharmacy stock data string for submission.
+     */
+    getPharmacyStockData() {
+        const table = document.querySelector('.rapid-entry-table');
+        if (!table) return '';
+        
+        const items = [];
+        table.querySelectorAll('tbody tr').forEach(row => {
+            const medName = row.dataset.itemId;
+            const availability = row.querySelector('.stock-select').value;
+            const price = row.querySelector('.price-input').value.trim();
+            
+            if (availability) { // Only include rows that have been filled
+                items.push(price ? `${medName}:${availability}:${price}` : `${medName}:${availability}`);
+            }
+        });
+
+        return items.join('; ');
+    }
+
+    /**
+     * Gets the filled rows of the rapid entry table, one object per item.
+     * The backend stores each as a row in its price or medicine observations sheet.
+     * @returns {Array<Object>} - Item observations, empty for other subcategories
+     */
+    getRapidEntryObservations() {
+        const type = this.formData.subcategory;
+        if (type !== 'price_item' && type !== 'pharmacy_stock') return [];
+
+        const isPriceBasket = type === 'price_item';
+        const catalog = this.catalogs[RAPID_ENTRY_CATALOGS[type]];
+        const tableData = this.formData[isPriceBasket ? 'price_basket_data' : 'pharmacy_stock_data'] || {};
+
+        const observations = [];
+        this.getRapidEntryItems(catalog, tableData).forEach(item => {
+            const row = tableData[item.name];
+            if (!row) return;
+
+            const price = (row.price || '').trim();
+            const catalogVersion = row.catalog_version || catalog.version;
+            if (isPriceBasket && (price || row.stock)) {
+                observations.push({ item: item.name, item_label: item.label, price_mvr: price, in_stock: row.stock, catalog_version: catalogVersion });
+            } else if (!isPriceBasket && row.stock) {
+                observations.push({ item: item.name, item_label: item.label, availability: row.stock, price_mvr: price, catalog_version: catalogVersion });
+            }
+        });
+
+        return observations;
+    }
+
+    /**
+     * Get the rows of a rapid entry table: the catalog's current items, then
+     * any retired or removed items that already have answers (e.g. in a draft
+     * started with an older catalog) so those stay readable
+     * @param {Object} catalog - Item catalog
+     * @param {Object} tableData - Saved answers keyed by item name
+     * @returns {Array<Object>} - Items as {name, label, retired}
+     */
+    getRapidEntryItems(catalog, tableData) {
+        const hasAnswer = name => {
+            const row = tableData[name];
+            return row && (row.price || row.stock);
+        };
+
+        const items = catalog.items.filter(item => !item.retired);
+        catalog.items.filter(item => item.retired && hasAnswer(item.name)).forEach(item => items.push(item));
+        Object.keys(tableData)
+            .filter(name => hasAnswer(name) && !catalog.items.some(item => item.name === name))
+            .forEach(name => items.push({ name, label: tableData[name].label || name, retired: true }));
+
+        return items;
+    }
+
+    /**
+     * Load the checklists used by checklist fields, either listed inline in
+     * config.json (`sections`) or read from a text file (`source`)
+     */
+    async loadChecklists() {
+        this.checklists = {};
+
+        const fields = this.config.categories.flatMap(category => [
+            ...(category.fields || []),
+            ...(category.subcategories || []).flatMap(subcategory => subcategory.fields || [])
+        ]).filter(field => field.type === 'checklist');
+
+        for (const field of fields) {
+            if (field.sections) {
+                this.checklists[field.name] = field.sections;
+                continue;
+            }
+
+            try {
+                const response = await fetch(`./${field.source}`);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                this.checklists[field.name] = this.parseChecklist(await response.text());
+                console.log('Checklist loaded:', field.source);
+            } catch (error) {
+                console.error(`Error loading checklist ${field.source}:`, error);
+                this.checklists[field.name] = [];
+            }
+        }
+    }
+
+    /**
+     * Parse a checklist file: a line on its own starts a section, lines
+     * starting with ☐ are its items, and lines starting with # are comments.
+     * Must match parseChecklist in google-apps-script.js.
+     * @param {string} text - File contents
+     * @returns {Array<Object>} - Sections as {title, items}
+     */
+    parseChecklist(text) {
+        const sections = [];
+
+        text.split('\n').map(line => line.trim()).forEach(line => {
+            if (!line || line.startsWith('#')) return;
+
+            if (line.startsWith('☐')) {
+                if (sections.length > 0) {
+                    sections[sections.length - 1].items.push(line.slice(1).trim());
+                }
+            } else {
+                sections.push({ title: line, items: [] });
+            }
+        });
+
+        return sections.filter(section => section.items.length > 0);
+    }
+
+    /**
+     * Turn a label into a column-safe ID, e.g. 'Approach & paths' -> 'approach_paths'.
+     * Must match toColumnId in google-apps-script.js.
+     * @param {string} text - Label
+     * @returns {string} - Lowercase ID of letters, digits and underscores
+     */
+    toColumnId(text) {
+        return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    }
+
+    /**
+     * Add a checklist where each item is answered yes / no / not applicable / unsure
+     * @param {Object} field - Checklist field definition
+     */
+    addAccessibilityChecklist(field) {
+        const container = document.getElementById('dynamic-fields');
+        const sections = this.checklists[field.name] || [];
+        const answers = this.getChecklistAnswers(field);
+        const choices = [
+            { value: 'yes', label: this.t('answer_yes') },
+            { value: 'no', label: this.t('answer_no') },
+            { value: 'na', label: this.t('answer_na') },
+            { value: 'unsure', label: this.t('answer_unsure') }
+        ];
+
+        const checklistDiv = document.createElement('div');
+        checklistDiv.className = 'form-section';
+        checklistDiv.innerHTML = `<label class="form-label">${this.translateLabel(field.label)}</label>`;
+
+        const checklistContainer = document.createElement('div');
+        checklistContainer.className = 'accessibility-checklist';
+
+        sections.forEach(section => {
+            const itemIds = this.getChecklistItemIds(section);
+            const sectionDiv = document.createElement('div');
+            sectionDiv.className = 'checklist-section';
+
+            const heading = document.createElement('h6');
+            heading.innerHTML = `<span></span> <small class="text-muted checklist-score"></small>`;
+            heading.querySelector('span').textContent = this.translateLabel(section.title);
+            sectionDiv.appendChild(heading);
+
+            const updateScore = () => {
+                const score = this.getChecklistScore(itemIds, answers);
+                heading.querySelector('.checklist-score').textContent = score === null
+                    ? ''
+                    : this.t('checklist_score', { score: score });
+            };
+
+            section.items.forEach((itemText, index) => {
+                const itemId = itemIds[index];
+                const itemDiv = document.createElement('div');
+                itemDiv.className = 'checklist-item';
+
+                const label = document.createElement('div');
+                label.className = 'checklist-item-label';
+                label.textContent = this.translateLabel(itemText);
+                itemDiv.appendChild(label);
+
+                const group = document.createElement('div');
+                group.className = 'btn-group btn-group-sm checklist-answers';
+                group.setAttribute('role', 'group');
+
+                choices.forEach(choice => {
+                    const inputId = `chk-${itemId}-${choice.value}`;
+                    const input = document.createElement('input');
+                    input.type = 'radio';
+                    input.className = 'btn-check';
+                    input.name = `chk-${itemId}`;
+                    input.id = inputId;
+                    input.value = choice.value;
+                    input.checked = answers[itemId] === choice.value;
+                    input.addEventListener('change', () => {
+                        answers[itemId] = choice.value;
+                        this.formData[field.name] = answers;
+                        updateScore();
+                        this.saveDraft();
+                    });
+
+                    const choiceLabel = document.createElement('label');
+                    choiceLabel.className = 'btn btn-outline-secondary';
+                    choiceLabel.setAttribute('for', inputId);
+                    choiceLabel.textContent = choice.label;
+
+                    group.appendChild(input);
+                    group.appendChild(choiceLabel);
+                });
+
+                itemDiv.appendChild(group);
+                sectionDiv.appendChild(itemDiv);
+            });
+
+            updateScore();
+            checklistContainer.appendChild(sectionDiv);
+        });
+
+        checklistDiv.appendChild(checklistContainer);
+        container.appendChild(checklistDiv);
+    }
+
+    /**
+     * Get the saved answers for a checklist field, keyed by item ID
+     * @param {Object} field - Checklist field definition
+     * @returns {Object} - Answers: 'yes', 'no', 'na' or 'unsure'
+     */
+    getChecklistAnswers(field) {
+        const answers = {};
+        Object.entries(this.formData[field.name] || {}).forEach(([itemId, value]) => {
+            // Drafts from the old tick-box checklist stored true for ticked items
+            if (value === true) {
+                answers[itemId] = 'yes';
+            } else if (typeof value === 'string') {
+                answers[itemId] = value;
+            }
+        });
+        return answers;
+    }
+
+    /**
+     * Get the IDs of a checklist section's items, e.g. 'ramp_handrails_on_both_sides'
+     * @param {Object} section - Section as {title, items}
+     * @returns {Array<string>} - Item IDs
+     */
+    getChecklistItemIds(section) {
+        const sectionId = this.toColumnId(section.title);
+        return section.items.map(itemText => `${sectionId}_${this.toColumnId(itemText)}`);
+    }
+
+    /**
+     * Score checklist items as the percentage of answered items that are
+     * a yes. Not applicable and unsure answers don't count either way.
+     * @param {Array<string>} itemIds - Items to score
+     * @param {Object} answers - Answers keyed by item ID
+     * @returns {number|null} - Score from 0 to 100, or null if nothing was answered yes or no
+     */
+    getChecklistScore(itemIds, answers) {
+        const answered = itemIds.filter(itemId => answers[itemId] === 'yes' || answers[itemId] === 'no');
+        const yes = answered.filter(itemId => answers[itemId] === 'yes');
+        return answered.length > 0 ? Math.round((yes.length / answered.length) * 100) : null;
+    }
+
+    /**
+     * Build the submission values for a checklist field: one per item,
+     * a score per section and an overall score
+     * @param {Object} field - Checklist field definition
+     * @returns {Object} - Values keyed by column name
+     */
+    getChecklistValues(field) {
+        const prefix = field.column_prefix || `${field.name}_`;
+        const sections = this.checklists[field.name] || [];
+        const answers = this.getChecklistAnswers(field);
+        const values = {};
+        const allItemIds = [];
+
+        sections.forEach(section => {
+            const itemIds = this.getChecklistItemIds(section);
+            itemIds.forEach(itemId => {
+                if (answers[itemId]) {
+                    values[`${prefix}${itemId}`] = answers[itemId];
+                }
+            });
+            allItemIds.push(...itemIds);
+
+            const score = this.getChecklistScore(itemIds, answers);
+            if (score !== null) {
+                values[`${prefix}score_${this.toColumnId(section.title)}`] = score;
+            }
+        });
+
+        // The overall score weighs every item equally, whatever its section
+        const overall = this.getChecklistScore(allItemIds, answers);
+        if (overall !== null) {
+            values[`${prefix}score`] = overall;
+        }
+
+        return values;
+    }
+
+    /**
+     * Clear all dynamic fields
+     */
+    clearDynamicFields() {
+        const container = document.getElementById('dynamic-fields');
+        if (container) {
+            container.innerHTML = '';
+        }
+    }
+
+
+    /**
+     * Load and display available tags
+     */
+    loadTags() {
+        const container = document.getElementById('tags-container');
+        container.innerHTML = '';
+        
+        this.config.tags.forEach(tag => {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = `tag-${tag.code}`;
+            checkbox.className = 'tag-checkbox';
+            checkbox.value = tag.code;
+            checkbox.checked = this.formData.tags.includes(tag.code);
+            
+            const label = document.createElement('label');
+            label.className = 'tag-label';
+            label.setAttribute('for', `tag-${tag.code}`);
+            label.textContent = this.translateLabel(tag.label);
+            
+            // Add change event listener
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    if (!this.formData.tags.includes(tag.code)) {
+                        this.formData.tags.push(tag.code);
+                    }
+                } else {
+                    this.formData.tags = this.formData.tags.filter(t => t !== tag.code);
+                }
+                this.saveDraft();
+            });
+            
+            container.appendChild(checkbox);
+            container.appendChild(label);
+        });
+    }
+
+    /**
+     * Update notes character count
+     * @param {number} count - Current character count
+     */
+    updateNotesCount(count) {
+        document.getElementById('notes-count').textContent = count;
+        this.formData.notes = document.getElementById('notes-input').value;
+        this.saveDraft();
+    }
+
+    /**
+     * Handle photo file upload
+     * @param {FileList} files - Selected files
+     */
+    handlePhotoUpload(files) {
+		const maxPhotos = this.config.max_photos || 5;
+		
+        if (this.formData.photos.length + files.length > maxPhotos) {
+            this.showError(this.t('error_max_photos', { max: maxPhotos }));
+            return;
+        }
+        
+		Array.from(files).forEach(file => {
+			// Always attempt compression regardless of original size
+			this.compressAndAddPhoto(file);
+		});
+        
+        // Clear file input
+        document.getElementById('photo-input').value = '';
+    }
+
+    /**
+     * Compress and add photo to the form
+     * @param {File} file - Photo file to compress
+     */
+	compressAndAddPhoto(file) {
+		// Size target after compression (bytes)
+		const maxSize = (this.config.max_photo_size_mb || 2) * 1024 * 1024;
+		const maxWidth = this.config.photo_max_width || 1600;
+		const quality = this.config.photo_compression_quality || 0.8;
+
+		const reader = new FileReader();
+		reader.onerror = () => {
+			this.handleCompressionFailure(file, this.t('photo_read_failed'));
+		};
+		reader.onload = (e) => {
+			const img = new Image();
+			img.onerror = () => {
+				this.handleCompressionFailure(file, this.t('photo_decode_failed'));
+			};
+			img.onload = () => {
+				try {
+					const canvas = document.createElement('canvas');
+					const ctx = canvas.getContext('2d');
+					let { width, height } = img;
+					if (width > maxWidth) {
+						height = (height * maxWidth) / width;
+						width = maxWidth;
+					}
+					canvas.width = width;
+					canvas.height = height;
+					ctx.drawImage(img, 0, 0, width, height);
+					canvas.toBlob((blob) => {
+						if (!blob) {
+							this.handleCompressionFailure(file, this.t('photo_no_data'));
+							return;
+						}
+						if (blob.size > maxSize) {
+							this.handleCompressionFailure(file, this.t('photo_too_large'));
+							return;
+						}
+						const compressedFile = new File([blob], file.name, {
+							type: 'image/jpeg',
+							lastModified: Date.now()
+						});
+						this.addPhotoToForm(compressedFile);
+					}, 'image/jpeg', quality);
+				} catch (err) {
+					this.handleCompressionFailure(file, this.t('photo_compression_failed'));
+				}
+			};
+			img.src = e.target.result;
+		};
+		reader.readAsDataURL(file);
+	}
+
+	/**
 	 * Handle compression failure with simple user choices
 	 */
-	handleCompressionFailure(file, reason) {
-		const uploadOriginal = confirm(`${reason}\n\nWould you like to upload the original file instead? (It may be large)`);
-		if (uploadOriginal) {
-			this.addPhotoToForm(file);
-			return;
-		}
-		const saveLocal = confirm('Would you like to save the image to your device instead?');
-		if (saveLocal) {
-			const suggested = this.getPlannedUploadFilename(file);
-			this.saveFileToDevice(file, suggested);
-			alert(`Saved as: ${suggested}`);
+	handleCompressionFailure(file, reason) {
+		const uploadOriginal = confirm(this.t('confirm_upload_original', { reason: reason }));
+		if (uploadOriginal) {
+			this.addPhotoToForm(file);
+			return;
+		}
+		const saveLocal = confirm(this.t('confirm_save_to_device'));
+		if (saveLocal) {
+			const suggested = this.getPlannedUploadFilename(file);
+			this.saveFileToDevice(file, suggested);
+			alert(this.t('saved_as', { name: suggested }));
+		}
+	}
+
+	/**
+	 * Create or get the submission ID for the current draft.
+	 * The ID is fixed for the life of the draft so a resend after a timeout
+	 * reuses it and the backend can recognise the duplicate.
+	 */
+	getOrCreateDraftSubmissionId() {
+		if (this.formData.submission_id) {
+			return this.formData.submission_id;
+		}
+
+		let id;
+		try {
+			const KEY = 'mappingAppDraftSubmissionId';
+			id = localStorage.getItem(KEY);
+			if (!id) {
+				id = this.generateUUID();
+				localStorage.setItem(KEY, id);
+			}
+		} catch (e) {
+			id = this.generateUUID();
+		}
+		this.formData.submission_id = id;
+		return id;
+	}
+
+	/**
+	 * Build planned upload filename including ID code
+	 */
+	getPlannedUploadFilename(file) {
+		const draftId = this.getOrCreateDraftSubmissionId();
+		const index = (this.formData.photos && this.formData.photos.length ? this.formData.photos.length : 0) + 1;
+		const ext = (file.name && file.name.includes('.')) ? file.name.substring(file.name.lastIndexOf('.')) : '.jpg';
+		return `${draftId}_photo_${index}${ext}`;
+	}
+
+	/**
+	 * Trigger a client-side download to save the file
+	 */
+	saveFileToDevice(file, filename) {
+		try {
+			const url = URL.createObjectURL(file);
+			const a = document.createElement('a');
+			a.href = url;
+			a.download = filename;
+			document.body.appendChild(a);
+			a.click();
+			document.body.removeChild(a);
+			setTimeout(() => URL.revokeObjectURL(url), 1000);
+		} catch (e) {
+			this.showError(this.t('error_save_file'));
 		}
 	}
 
-	/**
-	 * Create or get a draft submission ID for naming files
-	 */
-	getOrCreateDraftSubmissionId() {
-		try {
-			const KEY = 'mappingAppDraftSubmissionId';
-			let id = localStorage.getItem(KEY);
-			if (!id) {
-				id = this.generateUUID();
-				localStorage.setItem(KEY, id);
-			}
-			return id;
-		} catch (e) {
-			return this.generateUUID();
-		}
-	}
+    /**
+     * Add compressed photo to the form data and display
+     * @param {File} file - Compressed photo file
+     */
+    addPhotoToForm(file) {
+        this.formData.photos.push(file);
+        this.displayPhotos();
+        this.saveDraft();
+    }
+
+    /**
+     * Display uploaded photos in the preview area
+     */
+    displayPhotos() {
+        const container = document.getElementById('photo-preview');
+        container.innerHTML = '';
+        
+        this.formData.photos.forEach((photo, index) => {
+            const photoDiv = document.createElement('div');
+            photoDiv.className = 'photo-item';
+            
+            const img = document.createElement('img');
+            img.src = URL.createObjectURL(photo);
+            img.alt = this.t('photo_alt', { number: index + 1 });
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'photo-remove';
+            removeBtn.innerHTML = '×';
+            removeBtn.onclick = () => {
+                this.removePhoto(index);
+            };
+            
+            photoDiv.appendChild(img);
+            photoDiv.appendChild(removeBtn);
+            container.appendChild(photoDiv);
+        });
+    }
+
+    /**
+     * Remove photo from form data
+     * @param {number} index - Index of photo to remove
+     */
+    removePhoto(index) {
+        this.formData.photos.splice(index, 1);
+        this.displayPhotos();
+        this.saveDraft();
+    }
+
+    /**
+     * Validate form data before submission
+     * @returns {boolean} - True if valid, false otherwise
+     */
+    validateForm() {
+        // Required fields validation
+        if (this.entryMode === 'map') {
+            if (!this.formData.lat || !this.formData.lon) {
+                this.showError(this.t('error_select_location'));
+                return false;
+            }
+        } else { // island mode
+            const islandSelect = document.getElementById('island-select');
+            const selectedIsland = islandSelect.value;
+            if (!selectedIsland) {
+                this.showError(this.t('error_select_island'));
+                return false;
+            }
+        }
+        
+        if (!this.formData.category) {
+            this.showError(this.t('error_select_category'));
+            return false;
+        }
+        
+        if (!this.formData.subcategory) {
+            this.showError(this.t('error_select_subcategory'));
+            return false;
+        }
+        
+        // Fields declared in config.json for this subcategory (allows partial rapid entry)
+        const fieldError = this.validateSchemaFields(this.getSchemaFields(this.formData.subcategory));
+        if (fieldError) {
+            this.showError(fieldError);
+            return false;
+        }
+        
+        return true;
+    }
+
+    /**
+     * Submit form data to Google Apps Script endpoint
+     * Every entry goes through the outbox: the text record is sent first, then
+     * each photo in chunks, so an upload that drops part-way resumes later
+     */
+    async submitForm() {
+        if (!this.validateForm()) {
+            return;
+        }
+
+        // Show loading overlay
+        this.showLoading(true);
+
+        // Prepare submission data
+        const submissionData = this.prepareSubmissionData();
+        const photos = [...this.formData.photos];
+
+        // Prepare rapid entry data
+        let rapidEntryData = '';
+        if (this.formData.subcategory === 'price_item') {
+            rapidEntryData = this.getPriceBasketData();
+        } else if (this.formData.subcategory === 'pharmacy_stock') {
+            rapidEntryData = this.getPharmacyStockData();
+        }
+
+        if (rapidEntryData) {
+            submissionData.rapid_entry_data = rapidEntryData;
+        }
+
+        const entry = this.createOutboxEntry(submissionData, photos, this.formData);
+        const queued = await this.saveOutboxEntry(entry);
+
+        // Keep the background resend from picking up this entry while we send it
+        this.outboxSending = true;
+
+        try {
+            if (!navigator.onLine) {
+                throw new Error('Device is offline');
+            }
+
+            await this.deliverOutboxEntry(entry);
+
+            // Clear draft and show success
+            await this.recordHistory(submissionData);
+            await this.rememberPlace(submissionData);
+            this.clearDraft();
+            this.showSuccess(false);
+
+        } catch (error) {
+            console.error('Submission error:', error);
+
+            if (queued && error.rejected) {
+                // Keep the form open so the entry can be corrected and submitted again
+                await this.markOutboxFailure(entry, error);
+                this.showError(this.t('error_rejected', { error: error.message }));
+            } else if (queued) {
+                // Keep the entry on the device and let the outbox resend it later
+                await this.markOutboxFailure(entry, error);
+                await this.recordHistory(submissionData);
+                await this.rememberPlace(submissionData);
+                this.clearDraft();
+                this.showSuccess(true);
+            } else {
+                this.showError(this.t('error_submit'));
+            }
+        } finally {
+            this.outboxSending = false;
+            this.showLoading(false);
+            await this.updateOutboxBadge();
+            this.scheduleOutboxRetry();
+        }
+    }
+
+    /**
+     * Send an outbox entry: the text record first, then every photo chunk
+     * that has not been acknowledged yet. Progress is saved after each step.
+     * @param {Object} entry - Outbox entry from createOutboxEntry
+     * @throws {Error} - When any request fails; the entry keeps its progress
+     */
+    async deliverOutboxEntry(entry) {
+        const photos = entry.photos || [];
+
+        if (!entry.record_sent) {
+            this.setLoadingText(this.t('submitting'));
+            // From here the server may store the record even if no answer comes back
+            entry.record_attempted = true;
+            await this.saveOutboxEntry(entry);
+            await this.postSubmission({
+                ...entry.payload,
+                photo_count: photos.length
+            });
+            entry.record_sent = true;
+            await this.saveOutboxEntry(entry);
+        }
+
+        const chunkSize = (this.config.photo_chunk_size_kb || 256) * 1024;
+        entry.photo_chunks_sent = entry.photo_chunks_sent || photos.map(() => 0);
+
+        for (let i = 0; i < photos.length; i++) {
+            const photo = photos[i];
+            const chunkCount = Math.max(1, Math.ceil(photo.size / chunkSize));
+
+            for (let chunkIndex = entry.photo_chunks_sent[i]; chunkIndex < chunkCount; chunkIndex++) {
+                this.setLoadingText(this.t('uploading_photo', { number: i + 1, total: photos.length }));
+
+                const chunk = photo.slice(chunkIndex * chunkSize, (chunkIndex + 1) * chunkSize);
+                const dataUrl = await this.fileToBase64(chunk);
+
+                await this.postSubmission({
+                    action: 'photo_chunk',
+                    submission_id: entry.submission_id,
+                    photo_index: i + 1,
+                    chunk_index: chunkIndex,
+                    chunk_count: chunkCount,
+                    mime_type: photo.type || 'image/jpeg',
+                    data: dataUrl.split(',')[1] || ''
+                });
+
+                entry.photo_chunks_sent[i] = chunkIndex + 1;
+                await this.saveOutboxEntry(entry);
+            }
+        }
+
+        if (this.db) {
+            await this.dbDelete('outbox', entry.submission_id);
+        }
+        console.log(`Submission delivered: ${entry.submission_id}`);
+    }
+
+    /**
+     * POST a request body to the endpoint as a single JSON object
+     * @param {Object} requestBody - JSON body to send
+     * @returns {Promise<Object>} - Parsed endpoint response
+     * @throws {Error} - When the request fails or the endpoint reports an
+     *     error; `rejected` is set when the endpoint refused the request itself
+     */
+    async postSubmission(requestBody) {
+        const response = await fetch(this.config.endpoint_url, {
+            method: 'POST',
+            // We are sending JSON, so no need for multipart/form-data.
+            // Apps Script handles this content type better.
+            headers: {
+                'Content-Type': 'text/plain;charset=utf-8',
+            },
+            body: JSON.stringify(requestBody)
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+        }
+
+        const result = await response.json();
+
+        // The backend already stored this submission ID on an earlier attempt
+        if (result.duplicate) {
+            console.log('Submission already received:', requestBody.submission_id);
+            return result;
+        }
+
+        if (!result.success) {
+            const error = new Error(result.error || 'Submission failed');
+            // A 4xx means the server turned the request down, so sending it again won't help
+            error.rejected = result.statusCode >= 400 && result.statusCode < 500;
+            throw error;
+        }
+
+        return result;
+    }
+
+    /**
+     * Start a walk survey: the map follows GPS and each tap on a quick drop
+     * button logs it at the current position, straight into the outbox.
+     * The session's entries are held back and sent together when it ends.
+     */
+    startWalkSession() {
+        if (!navigator.geolocation) {
+            this.showError(this.t('error_no_geolocation'));
+            return;
+        }
+
+        this.walkSession = {
+            id: this.generateUUID(),
+            drops: [], // Newest last, for undo
+            counts: {}
+        };
+        this.walkFix = null;
+
+        this.showScreen('walk-screen');
+        document.getElementById('walk-gps').textContent = this.t('walk_waiting_gps');
+        this.renderWalkDrops();
+        this.updateWalkTally();
+
+        // The map is created once the screen shows, so Leaflet can size it
+        if (!this.walkMap) {
+            this.walkMap = L.map('walk-map'); // Centred on the first fix
+            this.createTileLayer().addTo(this.walkMap);
+            this.walkLayer = L.layerGroup().addTo(this.walkMap);
+        } else {
+            this.walkMap.invalidateSize();
+        }
+        this.walkLayer.clearLayers();
+
+        const options = {
+            enableHighAccuracy: true,
+            timeout: 10000,
+            maximumAge: 0
+        };
+
+        this.walkWatchId = navigator.geolocation.watchPosition(
+            (position) => {
+                const { latitude, longitude, accuracy } = position.coords;
+                this.walkFix = { lat: latitude, lon: longitude, accuracy, timestamp: position.timestamp };
+
+                if (this.walkLocationMarker) {
+                    this.walkLocationMarker.setLatLng([latitude, longitude]);
+                    this.walkMap.panTo([latitude, longitude]);
+                } else {
+                    this.walkLocationMarker = L.marker([latitude, longitude], {
+                        icon: L.divIcon({
+                            className: 'user-location-marker',
+                            html: '<div class="pulse-dot"></div>',
+                            iconSize: [20, 20],
+                            iconAnchor: [10, 10]
+                        })
+                    }).addTo(this.walkMap);
+                    this.walkMap.setView([latitude, longitude], 17);
+                }
+
+                const gpsDisplay = document.getElementById('walk-gps');
+                if (gpsDisplay) {
+                    gpsDisplay.textContent = `${this.t('gps_accuracy')} ±${Math.round(accuracy)} m`;
+                    gpsDisplay.classList.toggle('text-danger', accuracy > (this.config.gps_max_accuracy_m || Infinity));
+                }
+            },
+            (error) => {
+                // A fix can time out under trees; keep watching unless GPS was refused
+                if (error.code === error.PERMISSION_DENIED) {
+                    this.handleLocationError(error);
+                } else {
+                    console.warn('Walk survey fix skipped:', error);
+                }
+            },
+            options
+        );
+    }
+
+    /**
+     * Quick drops offered in a walk survey: those listed in `walk_drops`
+     * (config.json) that the campaign, if any, allows
+     * @returns {Array<Object>} - Quick drop subcategories
+     */
+    getWalkDrops() {
+        const category = this.config.categories.find(c => c.code === 'immediate_drops');
+        if (!category) return [];
+
+        const codes = this.config.walk_drops || [];
+        return (category.subcategories || []).filter(subcat =>
+            codes.includes(subcat.code) && this.isAllowedInCampaign(category.code, subcat.code));
+    }
+
+    /**
+     * Show a big button for each walk survey quick drop, with its tally
+     */
+    renderWalkDrops() {
+        const container = document.getElementById('walk-drops');
+        if (!container) {
+            console.error('Walk drops container not found!');
+            return;
+        }
+
+        container.innerHTML = '';
+        this.getWalkDrops().forEach(subcat => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-outline-primary walk-drop-btn';
+            button.dataset.subcategory = subcat.code;
+            button.innerHTML = `
+                <span class="walk-drop-icon">${CATEGORY_ICONS[subcat.code] || '⚡'}</span>
+                <span class="walk-drop-label"></span>
+                <span class="badge bg-primary walk-drop-count">0</span>
+            `;
+            button.querySelector('.walk-drop-label').textContent = this.translateLabel(subcat.label);
+            button.onclick = () => this.logWalkDrop(subcat);
+            container.appendChild(button);
+        });
+    }
+
+    /**
+     * Log a quick drop at the current GPS position
+     * @param {Object} subcategory - Quick drop subcategory
+     */
+    async logWalkDrop(subcategory) {
+        if (!this.walkSession) return;
+
+        // A fix left over from before the signal dropped is not where the user is now
+        const maxAge = this.config.walk_fix_max_age_ms || 5000;
+        if (!this.walkFix || Date.now() - this.walkFix.timestamp > maxAge) {
+            this.showError(this.t('walk_waiting_gps'));
+            return;
+        }
+        const accuracy = Math.round(this.walkFix.accuracy);
+        if (accuracy > (this.config.gps_max_accuracy_m || Infinity)) {
+            this.showError(this.t('error_gps_accuracy', { accuracy, max: this.config.gps_max_accuracy_m }));
+            return;
+        }
+
+        const submissionData = this.prepareWalkDropData(subcategory, this.walkFix);
+        const entry = { ...this.createOutboxEntry(submissionData, []), entry_mode: 'map', batch_id: this.walkSession.id };
+        if (!await this.saveOutboxEntry(entry)) {
+            this.showError(this.t('error_submit'));
+            return;
+        }
+        await this.recordHistory(submissionData);
+
+        const marker = L.circleMarker([submissionData.lat, submissionData.lon], {
+            radius: 7,
+            color: '#fff',
+            weight: 2,
+            fillColor: this.getCategoryColor(submissionData.category),
+            fillOpacity: 0.9
+        }).addTo(this.walkLayer);
+
+        this.walkSession.drops.push({ submission_id: submissionData.submission_id, subcategory: subcategory.code, marker });
+        this.walkSession.counts[subcategory.code] = (this.walkSession.counts[subcategory.code] || 0) + 1;
+        this.updateWalkTally();
+        await this.updateCampaignProgress();
+
+        if (navigator.vibrate) {
+            navigator.vibrate(50); // Feedback without looking at the screen
+        }
+    }
+
+    /**
+     * Build the submission for a walk survey quick drop
+     * @param {Object} subcategory - Quick drop subcategory
+     * @param {Object} fix - Current GPS fix: lat, lon and accuracy
+     * @returns {Object} - Submission data, as prepareSubmissionData would build it
+     */
+    prepareWalkDropData(subcategory, fix) {
+        const island = this.locateIsland(fix.lat, fix.lon);
+
+        return {
+            submission_id: this.generateUUID(),
+            submitted_at_iso: new Date().toISOString(),
+            app_version: this.config.app_version,
+            schema_version: this.config.schema_version,
+            language: this.language,
+            lat: fix.lat,
+            lon: fix.lon,
+            gps_accuracy_m: Math.round(fix.accuracy),
+            gps_sample_count: 1,
+            gps_method: 'single',
+            pin_moved: 'no',
+            location_source: 'gps',
+            gps_lat: fix.lat,
+            gps_lon: fix.lon,
+            drag_distance_m: null,
+            island: island,
+            atoll: this.getAtoll(island),
+            entry_mode: 'map',
+            category: 'immediate_drops',
+            subcategory: subcategory.code,
+            place_id: '',
+            campaign_id: this.campaign && this.isAllowedInCampaign('immediate_drops', subcategory.code)
+                ? this.campaign.id
+                : '',
+            session_id: this.walkSession.id, // Groups the drops of one walk
+            tags: '',
+            notes: '',
+            consent_confirmed: 'yes',
+            device_hash: this.deviceHash
+        };
+    }
+
+    /**
+     * Take back the last quick drop of the walk. It has not been sent yet,
+     * since the session's entries are held until it ends.
+     */
+    async undoWalkDrop() {
+        if (!this.walkSession) return;
+
+        const drop = this.walkSession.drops.pop();
+        if (!drop) return;
+
+        try {
+            await this.dbDelete('outbox', drop.submission_id);
+            await this.dbDelete('history', drop.submission_id);
+        } catch (error) {
+            console.error('Failed to undo walk drop:', error);
+        }
+
+        this.walkLayer.removeLayer(drop.marker);
+        this.walkSession.counts[drop.subcategory] -= 1;
+        this.updateWalkTally();
+        this.updateCampaignProgress();
+    }
+
+    /**
+     * Show the running count of each quick drop in the walk
+     */
+    updateWalkTally() {
+        const session = this.walkSession;
+        if (!session) return;
+
+        document.querySelectorAll('#walk-drops [data-subcategory]').forEach(button => {
+            button.querySelector('.walk-drop-count').textContent = session.counts[button.dataset.subcategory] || 0;
+        });
+
+        const tally = document.getElementById('walk-tally');
+        if (tally) {
+            tally.textContent = this.t('walk_total', { count: session.drops.length });
+        }
+
+        const undoBtn = document.getElementById('walk-undo-btn');
+        if (undoBtn) {
+            undoBtn.disabled = session.drops.length === 0;
+        }
+    }
+
+    /**
+     * End the walk survey and send its entries as a batch
+     */
+    async finishWalkSession() {
+        if (!this.walkSession) return;
 
-	/**
-	 * Build planned upload filename including ID code
-	 */
-	getPlannedUploadFilename(file) {
-		const draftId = this.getOrCreateDraftSubmissionId();
-		const index = (this.formData.photos && this.formData.photos.length ? this.formData.photos.length : 0) + 1;
-		const ext = (file.name && file.name.includes('.')) ? file.name.substring(file.name.lastIndexOf('.')) : '.jpg';
-		return `${draftId}_photo_${index}${ext}`;
-	}
+        if (this.walkWatchId !== null) {
+            navigator.geolocation.clearWatch(this.walkWatchId);
+            this.walkWatchId = null;
+        }
 
-	/**
-	 * Trigger a client-side download to save the file
-	 */
-	saveFileToDevice(file, filename) {
-		try {
-			const url = URL.createObjectURL(file);
-			const a = document.createElement('a');
-			a.href = url;
-			a.download = filename;
-			document.body.appendChild(a);
-			a.click();
-			document.body.removeChild(a);
-			setTimeout(() => URL.revokeObjectURL(url), 1000);
-		} catch (e) {
-			this.showError('Unable to save file to device.');
-		}
-	}
+        const count = this.walkSession.drops.length;
+        this.walkSession = null; // Releases the held entries
+        await this.updateOutboxBadge();
+
+        const message = document.getElementById('success-message');
+        if (message) {
+            message.textContent = this.t('walk_done', { count });
+        }
+        this.showScreen('success-screen');
+
+        this.processOutbox(true);
+    }
 
     /**
-     * Add compressed photo to the form data and display
-     * @param {File} file - Compressed photo file
+     * Show the success screen
+     * @param {boolean} queued - True if the entry was saved to the outbox instead of sent
      */
-    addPhotoToForm(file) {
-        this.formData.photos.push(file);
-        this.displayPhotos();
-        this.saveDraft();
+    showSuccess(queued) {
+        const message = document.getElementById('success-message');
+        if (message) {
+            message.textContent = queued
+                ? this.t('entry_queued')
+                : this.t('entry_sent');
+        }
+        this.showScreen('success-screen');
     }
 
     /**
-     * Display uploaded photos in the preview area
+     * Convert file to base64 for storage
+     * @param {File} file - File to convert
+     * @returns {Promise<string>} - Base64 string
      */
-    displayPhotos() {
-        const container = document.getElementById('photo-preview');
-        container.innerHTML = '';
-        
-        this.formData.photos.forEach((photo, index) => {
-            const photoDiv = document.createElement('div');
-            photoDiv.className = 'photo-item';
-            
-            const img = document.createElement('img');
-            img.src = URL.createObjectURL(photo);
-            img.alt = `Photo ${index + 1}`;
-            
-            const removeBtn = document.createElement('button');
-            removeBtn.className = 'photo-remove';
-            removeBtn.innerHTML = '×';
-            removeBtn.onclick = () => {
-                this.removePhoto(index);
-            };
-            
-            photoDiv.appendChild(img);
-            photoDiv.appendChild(removeBtn);
-            container.appendChild(photoDiv);
+    fileToBase64(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = reject;
+            reader.readAsDataURL(file);
         });
     }
 
     /**
-     * Remove photo from form data
-     * @param {number} index - Index of photo to remove
+     * Convert a data URL back to a Blob
+     * @param {string} dataUrl - Data URL to convert
+     * @returns {Blob} - Decoded blob
      */
-    removePhoto(index) {
-        this.formData.photos.splice(index, 1);
-        this.displayPhotos();
-        this.saveDraft();
+    dataUrlToBlob(dataUrl) {
+        const parts = dataUrl.split(',');
+        const mimeType = parts[0].match(/:(.*?);/)[1];
+        const binary = atob(parts[1]);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type: mimeType });
     }
 
     /**
-     * Validate form data before submission
-     * @returns {boolean} - True if valid, false otherwise
+     * Open the IndexedDB database, creating any missing object stores
+     * @returns {Promise<IDBDatabase>} - Open database
      */
-    validateForm() {
-        // Required fields validation
-        if (this.entryMode === 'map') {
-            if (!this.formData.lat || !this.formData.lon) {
-                this.showError('Please select a location.');
-                return false;
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not supported by this browser'));
+                return;
             }
-        } else { // island mode
-            const islandSelect = document.getElementById('island-select');
-            const selectedIsland = islandSelect.value;
-            if (!selectedIsland) {
-                this.showError('Please select an island.');
-                return false;
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.entries(DB_STORES).forEach(([storeName, options]) => {
+                    if (!db.objectStoreNames.contains(storeName)) {
+                        db.createObjectStore(storeName, options);
+                    }
+                });
+            };
+            // An older version of the app open in another tab holds the database
+            request.onblocked = () => this.showError(this.t('error_db_blocked'));
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Let a newer version in another tab upgrade it instead of blocking it in turn
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    this.showError(this.t('error_db_version_change'));
+                };
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a single request against an object store
+     * @param {string} storeName - Object store name
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the store and returns an IDBRequest
+     * @returns {Promise<*>} - Result of the request
+     */
+    dbRequest(storeName, mode, operation) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('Local database is not available'));
+                return;
             }
+
+            const transaction = this.db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Read one record by key
+     * @param {string} storeName - Object store name
+     * @param {*} key - Record key
+     * @returns {Promise<Object|undefined>} - Stored record
+     */
+    dbGet(storeName, key) {
+        return this.dbRequest(storeName, 'readonly', store => store.get(key));
+    }
+
+    /**
+     * Read every record in a store
+     * @param {string} storeName - Object store name
+     * @returns {Promise<Array>} - Stored records
+     */
+    dbGetAll(storeName) {
+        return this.dbRequest(storeName, 'readonly', store => store.getAll());
+    }
+
+    /**
+     * Insert or replace a record
+     * @param {string} storeName - Object store name
+     * @param {Object} value - Record to store
+     * @returns {Promise<*>} - Key of the stored record
+     */
+    dbPut(storeName, value) {
+        return this.dbRequest(storeName, 'readwrite', store => store.put(value));
+    }
+
+    /**
+     * Delete one record by key
+     * @param {string} storeName - Object store name
+     * @param {*} key - Record key
+     */
+    dbDelete(storeName, key) {
+        return this.dbRequest(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Open the database, move old localStorage fallbacks into the outbox
+     * and start resending whenever the browser comes back online
+     */
+    async initOutbox() {
+        try {
+            await this.openDatabase();
+        } catch (error) {
+            console.error('Failed to open outbox:', error);
+            return;
         }
-        
-        if (!this.formData.category) {
-            this.showError('Please select a category.');
-            return false;
+
+        // Old fallbacks that can't be moved must not stop the resend from starting
+        try {
+            await this.migrateLegacyFallback();
+        } catch (error) {
+            console.error('Failed to move old saved submissions into the outbox:', error);
         }
-        
-        if (!this.formData.subcategory) {
-            this.showError('Please select a subcategory.');
-            return false;
+
+        window.addEventListener('online', () => {
+            this.processOutbox(true);
+        });
+
+        const outboxBadge = document.getElementById('outbox-badge');
+        if (outboxBadge) {
+            outboxBadge.addEventListener('click', () => {
+                this.processOutbox(true);
+            });
         }
-        
-		// Category-specific validation (allow partial rapid entry)
-		if (this.formData.subcategory === 'price_item') {
-			const anyData = this.getPriceBasketData();
-			if (!anyData) {
-				this.showError('Please enter at least one price basket item.');
-				return false;
-			}
-		}
-		
-		if (this.formData.subcategory === 'pharmacy_stock') {
-			const anyData = this.getPharmacyStockData();
-			if (!anyData) {
-				this.showError('Please select availability for at least one medicine.');
-				return false;
-			}
-		}
-        
-        if (this.formData.subcategory === 'internet_speed') {
-            if (!this.formData.down_mbps || !this.formData.up_mbps || !this.formData.ping_ms) {
-                this.showError('Please fill in all required fields for internet speed test.');
-                return false;
-            }
+
+        await this.updateOutboxBadge();
+        this.processOutbox();
+    }
+
+    /**
+     * Move submissions saved by older versions under mappingApp_fallback_*
+     * in localStorage into the IndexedDB outbox. A value that can't be
+     * parsed is logged and left in localStorage.
+     */
+    async migrateLegacyFallback() {
+        const pendingKey = 'mappingApp_pending_submissions';
+        let pending;
+        try {
+            pending = JSON.parse(localStorage.getItem(pendingKey) || '[]');
+        } catch (error) {
+            console.error('Could not read the old list of pending submissions:', error);
+            return;
         }
-        
-        if (this.formData.subcategory === 'streetlight') {
-            if (!this.formData.light_working) {
-                this.showError('Please indicate if the streetlight is working.');
-                return false;
+
+        const remaining = [];
+        for (const submissionId of Array.isArray(pending) ? pending : []) {
+            const fallbackKey = `mappingApp_fallback_${submissionId}`;
+            let fallbackData;
+            try {
+                fallbackData = JSON.parse(localStorage.getItem(fallbackKey) || 'null');
+            } catch (error) {
+                console.error(`Could not read old saved submission ${submissionId}:`, error);
+                remaining.push(submissionId);
+                continue;
+            }
+
+            if (fallbackData) {
+                const { photos = [], ...submissionData } = fallbackData;
+                delete submissionData.stored_at;
+                const photoBlobs = photos.filter(photo => photo.data).map(photo => this.dataUrlToBlob(photo.data));
+                const queued = await this.enqueueSubmission(submissionData, photoBlobs);
+                if (!queued) {
+                    remaining.push(submissionId);
+                    continue;
+                }
             }
+            localStorage.removeItem(fallbackKey);
+        }
+
+        if (remaining.length > 0) {
+            localStorage.setItem(pendingKey, JSON.stringify(remaining));
+        } else {
+            localStorage.removeItem(pendingKey);
         }
-        
-        return true;
     }
 
     /**
-     * Submit form data to Google Apps Script endpoint
+     * Build a new outbox entry
+     * @param {Object} submissionData - Data from prepareSubmissionData
+     * @param {Array<Blob>} photos - Photo files or blobs
+     * @param {Object|null} formData - The form as filled in, so the entry can be reopened for editing
+     * @returns {Object} - Outbox entry
      */
-    async submitForm() {
-        if (!this.validateForm()) {
+    createOutboxEntry(submissionData, photos, formData = null) {
+        return {
+            submission_id: submissionData.submission_id,
+            payload: submissionData,
+            photos: photos,
+            form_data: formData ? { ...formData, photos: [] } : null,
+            entry_mode: this.entryMode,
+            record_sent: false,
+            photo_chunks_sent: photos.map(() => 0),
+            queued_at: new Date().toISOString(),
+            attempts: 0,
+            next_attempt_at: Date.now(),
+            last_error: ''
+        };
+    }
+
+    /**
+     * Write an outbox entry to IndexedDB
+     * @param {Object} entry - Outbox entry
+     * @returns {Promise<boolean>} - True if stored
+     */
+    async saveOutboxEntry(entry) {
+        try {
+            await this.dbPut('outbox', entry);
+            return true;
+        } catch (error) {
+            console.error('Failed to save outbox entry:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Store a submission in the outbox for a later resend
+     * @param {Object} submissionData - Data from prepareSubmissionData
+     * @param {Array<Blob>} photos - Photo files or blobs
+     * @returns {Promise<boolean>} - True if stored
+     */
+    async enqueueSubmission(submissionData, photos) {
+        const queued = await this.saveOutboxEntry(this.createOutboxEntry(submissionData, photos));
+        if (queued) {
+            console.log('Submission queued in outbox:', submissionData.submission_id);
+            await this.updateOutboxBadge();
+            this.scheduleOutboxRetry();
+        }
+        return queued;
+    }
+
+    /**
+     * Record a failed send and push the next attempt back. An entry the
+     * server rejected is not retried until it is edited or sent by hand.
+     * @param {Object} entry - Outbox entry
+     * @param {Error} error - Failure reason
+     */
+    async markOutboxFailure(entry, error) {
+        entry.attempts += 1;
+        entry.next_attempt_at = Date.now() + this.getOutboxRetryDelay(entry.attempts);
+        entry.last_error = error.message;
+        entry.rejected = !!error.rejected;
+        await this.saveOutboxEntry(entry);
+    }
+
+    /**
+     * Resend queued submissions that are due
+     * @param {boolean} force - Ignore the backoff schedule and try everything now
+     */
+    async processOutbox(force = false) {
+        if (!this.db || this.outboxSending || !navigator.onLine) {
             return;
         }
 
-        // Show loading overlay
-        this.showLoading(true);
+        this.outboxSending = true;
 
         try {
-            // Prepare submission data
-            const submissionData = this.prepareSubmissionData();
-
-            // Convert photos to base64
-            const photoPromises = this.formData.photos.map(photo => this.fileToBase64(photo));
-            const photoDataURIs = await Promise.all(photoPromises);
-
-            // Add base64 photo data to the submission object
-            submissionData.photos = photoDataURIs.map(dataUrl => {
-                const parts = dataUrl.split(',');
-                const mimeType = parts[0].match(/:(.*?);/)[1];
-                const base64Data = parts[1];
-                return {
-                    mimeType: mimeType,
-                    data: base64Data
-                };
-            });
+            const entries = await this.dbGetAll('outbox');
+            const due = entries.filter(entry => (force || entry.next_attempt_at <= Date.now())
+                && !entry.rejected && !this.isHeldInWalk(entry));
 
-            // Prepare rapid entry data
-            let rapidEntryData = '';
-            if (this.formData.subcategory === 'price_item') {
-                rapidEntryData = this.getPriceBasketData();
-            } else if (this.formData.subcategory === 'pharmacy_stock') {
-                rapidEntryData = this.getPharmacyStockData();
+            if (due.length > 0) {
+                console.log(`Resending ${due.length} queued submissions...`);
             }
 
-            if (rapidEntryData) {
-                submissionData.rapid_entry_data = rapidEntryData;
+            for (const entry of due.filter(entry => !entry.batch_id)) {
+                try {
+                    await this.deliverOutboxEntry(entry);
+                    console.log(`Successfully resubmitted: ${entry.submission_id}`);
+                } catch (error) {
+                    console.error(`Failed to resend submission ${entry.submission_id}:`, error);
+                    await this.markOutboxFailure(entry, error);
+                }
             }
 
-            // Submit to endpoint as a single JSON object
-            const response = await fetch(this.config.endpoint_url, {
-                method: 'POST',
-                // We are sending JSON, so no need for multipart/form-data.
-                // Apps Script handles this content type better.
-                headers: {
-                    'Content-Type': 'text/plain;charset=utf-8',
-                },
-                body: JSON.stringify(submissionData)
-            });
+            // Walk survey entries go together, a session at a time
+            for (const batch of this.getOutboxBatches(due.filter(entry => entry.batch_id))) {
+                try {
+                    await this.deliverOutboxBatch(batch);
+                } catch (error) {
+                    console.error(`Failed to resend batch ${batch[0].batch_id}:`, error);
+                    for (const entry of batch) {
+                        await this.markOutboxFailure(entry, error);
+                    }
+                }
+            }
+        } catch (error) {
+            console.error('Failed to process outbox:', error);
+        } finally {
+            this.outboxSending = false;
+            await this.updateOutboxBadge();
+            this.scheduleOutboxRetry();
+        }
+    }
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+    /**
+     * Whether an outbox entry belongs to the walk survey still in progress,
+     * whose entries are held so the last one can be undone
+     * @param {Object} entry - Outbox entry
+     * @returns {boolean} - True if the entry must not be sent yet
+     */
+    isHeldInWalk(entry) {
+        return !!this.walkSession && entry.batch_id === this.walkSession.id;
+    }
+
+    /**
+     * Group walk survey entries by session, in batches of OUTBOX_BATCH_SIZE
+     * @param {Array<Object>} entries - Outbox entries with a batch_id
+     * @returns {Array<Array<Object>>} - Batches to send
+     */
+    getOutboxBatches(entries) {
+        const sessions = {};
+        entries.forEach(entry => {
+            (sessions[entry.batch_id] = sessions[entry.batch_id] || []).push(entry);
+        });
+
+        const batches = [];
+        Object.values(sessions).forEach(session => {
+            for (let i = 0; i < session.length; i += OUTBOX_BATCH_SIZE) {
+                batches.push(session.slice(i, i + OUTBOX_BATCH_SIZE));
             }
+        });
+        return batches;
+    }
 
-            const result = await response.json();
+    /**
+     * Send a batch of walk survey entries in one request. The backend stores
+     * each on its own; entries it rejected stay in the outbox.
+     * @param {Array<Object>} entries - Outbox entries without photos
+     * @throws {Error} - When the request fails
+     */
+    async deliverOutboxBatch(entries) {
+        const result = await this.postSubmission({
+            action: 'batch',
+            submissions: entries.map(entry => ({ ...entry.payload, photo_count: 0 }))
+        });
 
-            if (result.success) {
-                // Clear draft and show success
-                this.clearDraft();
-                this.showScreen('success-screen');
+        const results = result.results || [];
+        for (const entry of entries) {
+            const itemResult = results.find(item => item.submission_id === entry.submission_id);
+            if (itemResult && itemResult.success) {
+                await this.dbDelete('outbox', entry.submission_id);
             } else {
-                throw new Error(result.error || 'Submission failed');
+                const error = new Error((itemResult && itemResult.error) || 'Not in batch response');
+                error.rejected = !!itemResult && itemResult.statusCode >= 400 && itemResult.statusCode < 500;
+                await this.markOutboxFailure(entry, error);
             }
+        }
+        console.log(`Batch delivered: ${results.filter(item => item.success).length} of ${entries.length}`);
+    }
+
+    /**
+     * Exponential backoff delay before the next resend attempt
+     * @param {number} attempts - Number of failed attempts so far
+     * @returns {number} - Delay in milliseconds
+     */
+    getOutboxRetryDelay(attempts) {
+        const baseDelay = this.config.outbox_retry_base_ms || 30000;
+        const maxDelay = this.config.outbox_retry_max_ms || 3600000;
+        return Math.min(baseDelay * Math.pow(2, attempts - 1), maxDelay);
+    }
+
+    /**
+     * Set a timer for the next queued submission that becomes due
+     */
+    async scheduleOutboxRetry() {
+        clearTimeout(this.outboxRetryTimer);
+        this.outboxRetryTimer = null;
 
+        try {
+            const entries = (await this.dbGetAll('outbox')).filter(entry => !entry.rejected && !this.isHeldInWalk(entry));
+            if (entries.length === 0) return;
+
+            const nextAttempt = Math.min(...entries.map(entry => entry.next_attempt_at));
+            this.outboxRetryTimer = setTimeout(() => {
+                this.processOutbox();
+            }, Math.max(nextAttempt - Date.now(), 1000));
         } catch (error) {
-            console.error('Submission error:', error);
+            console.error('Failed to schedule outbox retry:', error);
+        }
+    }
 
-            // The existing fallback logic is great, let's keep it.
-            const fallbackSuccess = await this.tryFallbackStorage(this.prepareSubmissionData());
+    /**
+     * Show the number of queued submissions in the outbox badge
+     */
+    async updateOutboxBadge() {
+        const badge = document.getElementById('outbox-badge');
+        if (!badge) return;
 
-            if (fallbackSuccess) {
-                this.clearDraft();
-                this.showScreen('success-screen');
-            } else {
-                this.showError('Failed to submit data. Your entry has been saved locally and will be retried later.');
-            }
-        } finally {
-            this.showLoading(false);
+        try {
+            const entries = await this.dbGetAll('outbox');
+            const count = entries.length;
+            badge.textContent = this.t('outbox_count', { count: count });
+            badge.title = this.t('outbox_retry');
+            badge.style.display = count > 0 ? 'block' : 'none';
+        } catch (error) {
+            badge.style.display = 'none';
         }
     }
 
     /**
-     * Try fallback storage when main submission fails
-     * @param {Object} submissionData - Data to store
-     * @returns {boolean} - True if successful
+     * Register the service worker that caches the app for offline use
      */
-    async tryFallbackStorage(submissionData) {
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) {
+            console.log('Service workers not supported - offline launch unavailable');
+            return;
+        }
+
+        // On a first visit the new worker claims the page with no update to apply
+        const hadController = !!navigator.serviceWorker.controller;
+
         try {
-            // Asynchronously convert all photos to base64
-            const photoPromises = this.formData.photos.map(photo => this.fileToBase64(photo));
-            const photoDataURIs = await Promise.all(photoPromises);
-
-            // Store in localStorage as fallback
-            const fallbackKey = `mappingApp_fallback_${submissionData.submission_id}`;
-            const fallbackData = {
-                ...submissionData,
-                stored_at: new Date().toISOString(),
-                photos: this.formData.photos.map((photo, index) => ({
-                    name: photo.name,
-                    size: photo.size,
-                    type: photo.type,
-                    data: photoDataURIs[index] // Use the pre-converted base64 data
-                }))
-            };
-            
-            localStorage.setItem(fallbackKey, JSON.stringify(fallbackData));
-            
-            // Also store in a list of pending submissions
-            const pendingKey = 'mappingApp_pending_submissions';
-            const pending = JSON.parse(localStorage.getItem(pendingKey) || '[]');
-            pending.push(submissionData.submission_id);
-            localStorage.setItem(pendingKey, JSON.stringify(pending));
-            
-            console.log('Data saved to fallback storage:', submissionData.submission_id);
-            return true;
-            
+            const registration = await navigator.serviceWorker.register('./sw.js', { updateViaCache: 'none' });
+
+            // A new version may already be installed and waiting from an earlier visit
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdateBanner(registration.waiting);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const newWorker = registration.installing;
+                if (!newWorker) return;
+                newWorker.addEventListener('statechange', () => {
+                    // Only an update if an older worker is already controlling the page
+                    if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.showUpdateBanner(newWorker);
+                    }
+                });
+            });
+
+            // Reload once the new worker has taken over
+            let reloading = false;
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (!hadController || reloading) return;
+                reloading = true;
+                window.location.reload();
+            });
+
+            await this.checkForAppUpdate(registration);
+            console.log('Service worker registered');
         } catch (error) {
-            console.error('Fallback storage failed:', error);
-            return false;
+            console.error('Service worker registration failed:', error);
         }
     }
 
     /**
-     * Convert file to base64 for storage
-     * @param {File} file - File to convert
-     * @returns {Promise<string>} - Base64 string
+     * Compare app_version from config.json with the cached app shell
+     * and fetch the new service worker if they differ
+     * @param {ServiceWorkerRegistration} registration - Active registration
      */
-    fileToBase64(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () => resolve(reader.result);
-            reader.onerror = reject;
-            reader.readAsDataURL(file);
+    async checkForAppUpdate(registration) {
+        const activeWorker = registration.active;
+        if (!activeWorker || !navigator.onLine) return;
+
+        const shellVersion = await new Promise((resolve) => {
+            const channel = new MessageChannel();
+            channel.port1.onmessage = (event) => resolve(event.data.version);
+            activeWorker.postMessage({ type: 'GET_VERSION' }, [channel.port2]);
+            setTimeout(() => resolve(null), 3000);
         });
+
+        if (shellVersion && shellVersion !== this.config.app_version) {
+            console.log(`App version ${this.config.app_version} available (running ${shellVersion})`);
+            await registration.update();
+        }
     }
 
     /**
-     * Retry pending submissions
+     * Tell the user a new version is ready and switch to it on request
+     * @param {ServiceWorker} worker - Installed worker waiting to activate
      */
-    async retryPendingSubmissions() {
-        const pendingKey = 'mappingApp_pending_submissions';
-        const pending = JSON.parse(localStorage.getItem(pendingKey) || '[]');
-        
-        if (pending.length === 0) return;
-        
-        console.log(`Retrying ${pending.length} pending submissions...`);
-        
-        for (const submissionId of pending) {
-            try {
-                const fallbackKey = `mappingApp_fallback_${submissionId}`;
-                const fallbackData = JSON.parse(localStorage.getItem(fallbackKey));
-                
-                if (fallbackData) {
-                    // Try to resubmit
-                    const formData = new FormData();
-                    formData.append('data', JSON.stringify(fallbackData));
-                    
-                    const response = await fetch(this.config.endpoint_url, {
-                        method: 'POST',
-                        body: formData
-                    });
-                    
-                    if (response.ok) {
-                        // Success - remove from pending
-                        localStorage.removeItem(fallbackKey);
-                        const updatedPending = pending.filter(id => id !== submissionId);
-                        localStorage.setItem(pendingKey, JSON.stringify(updatedPending));
-                        console.log(`Successfully resubmitted: ${submissionId}`);
-                    }
-                }
-            } catch (error) {
-                console.error(`Failed to retry submission ${submissionId}:`, error);
-            }
-        }
+    showUpdateBanner(worker) {
+        const banner = document.getElementById('update-banner');
+        const reloadBtn = document.getElementById('update-reload-btn');
+        if (!banner || !reloadBtn) return;
+
+        banner.style.display = 'flex';
+        reloadBtn.onclick = () => {
+            reloadBtn.disabled = true;
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        };
     }
 
     /**
@@ -2001,31 +5389,52 @@ class MappingApp {
     prepareSubmissionData() {
         const now = new Date();
         
-        // Overwrite subcategory with special data if needed
-        let subcategoryData = this.formData.subcategory;
-        if (this.formData.subcategory === 'accessibility_audit') {
-            subcategoryData = this.getAccessibilityData();
-        } else if (this.formData.subcategory === 'price_item') {
-            subcategoryData = this.getPriceBasketData();
-        } else if (this.formData.subcategory === 'pharmacy_stock') {
-            subcategoryData = this.getPharmacyStockData();
-        }
-
-        return {
-            submission_id: this.generateUUID(),
+        const submissionData = {
+            submission_id: this.getOrCreateDraftSubmissionId(),
             submitted_at_iso: now.toISOString(),
             app_version: this.config.app_version,
-            language: this.config.language,
+            schema_version: this.config.schema_version,
+            language: this.language, // Interface language the entry was made in
             lat: this.formData.lat,
             lon: this.formData.lon,
             gps_accuracy_m: this.formData.gps_accuracy_m,
+            gps_sample_count: this.formData.gps_sample_count,
+            gps_method: this.formData.gps_method || '', // 'averaged' or 'single' GPS fix
+            pin_moved: this.formData.pin_moved ? 'yes' : 'no', // Dragged by hand after the fix
+            location_source: this.formData.location_source || '', // gps, dragged, typed or island
+            gps_lat: this.formData.gps_lat, // The GPS fix itself, before any drag
+            gps_lon: this.formData.gps_lon,
+            drag_distance_m: this.formData.drag_distance_m,
+            island: this.formData.island || '', // From the pin's island outline, or chosen by name
+            atoll: this.formData.atoll || '',
+            entry_mode: this.entryMode, // 'island' entries have no GPS point of their own
             category: this.formData.category,
-            subcategory: subcategoryData,
+            subcategory: this.formData.subcategory,
+            place_id: this.getOrCreatePlaceId(), // Links repeat visits to the same shop or site
+            campaign_id: this.campaign && this.isAllowedInCampaign(this.formData.category, this.formData.subcategory)
+                ? this.campaign.id
+                : '',
             tags: this.formData.tags.join(';'),
             notes: this.formData.notes || '',
             consent_confirmed: 'yes', // Assuming user agrees by submitting
-            ip_hash: this.generateIPHash() // Simple hash for deduplication
+            device_hash: this.deviceHash // Salted hash of the per-device ID
         };
+
+        // Lines and areas are sent whole, with their middle as the point
+        if (this.entryMode === 'map' && this.isShapeEntry()) {
+            Object.assign(submissionData, this.getShapeSubmissionData());
+        }
+
+        // Values of the fields config.json declares for this subcategory
+        Object.assign(submissionData, this.getSchemaFieldValues(this.formData.subcategory));
+
+        // Price basket and pharmacy items, split into one row each on the backend
+        const observations = this.getRapidEntryObservations();
+        if (observations.length > 0) {
+            submissionData.observations = observations;
+        }
+
+        return submissionData;
     }
 
     /**
@@ -2041,19 +5450,60 @@ class MappingApp {
     }
 
     /**
-     * Generate a simple hash for IP deduplication
-     * @returns {string} - Hashed value
+     * Get the random per-device ID, creating it on first use.
+     * The raw ID never leaves the device; only its salted hash is sent.
+     * @returns {string} - Device ID
      */
-    generateIPHash() {
-        // Simple hash based on user agent and timestamp
-        const data = navigator.userAgent + Date.now();
-        let hash = 0;
-        for (let i = 0; i < data.length; i++) {
-            const char = data.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
+    getOrCreateDeviceId() {
+        const KEY = 'mappingAppDeviceId';
+        let id = localStorage.getItem(KEY);
+        if (!id) {
+            id = window.crypto && crypto.randomUUID ? crypto.randomUUID() : this.generateUUID();
+            localStorage.setItem(KEY, id);
         }
-        return Math.abs(hash).toString(16);
+        return id;
+    }
+
+    /**
+     * Hash the device ID with the salt from config so analysts can group
+     * entries by contributor without being able to recover the ID
+     * @returns {Promise<string>} - SHA-256 hex digest, or '' if hashing is unavailable
+     */
+    async computeDeviceHash() {
+        if (!window.crypto || !crypto.subtle) {
+            console.warn('Web Crypto unavailable - submissions will not carry a device hash');
+            return '';
+        }
+
+        try {
+            const salt = this.config.device_id_salt || '';
+            const data = new TextEncoder().encode(salt + this.getOrCreateDeviceId());
+            const digest = await crypto.subtle.digest('SHA-256', data);
+            return Array.from(new Uint8Array(digest))
+                .map(byte => byte.toString(16).padStart(2, '0'))
+                .join('');
+        } catch (error) {
+            console.error('Failed to hash device ID:', error);
+            return '';
+        }
+    }
+
+    /**
+     * Replace the device ID with a new random one, so future entries
+     * can no longer be grouped with earlier ones
+     */
+    async resetDeviceId() {
+        if (!confirm(this.t('confirm_reset_device_id'))) {
+            return;
+        }
+
+        try {
+            localStorage.removeItem('mappingAppDeviceId');
+        } catch (error) {
+            console.error('Failed to reset device ID:', error);
+        }
+        this.deviceHash = await this.computeDeviceHash();
+        alert(this.t('device_id_reset'));
     }
 
     /**
@@ -2062,6 +5512,20 @@ class MappingApp {
      */
     showLoading(show) {
         document.getElementById('loading-overlay').style.display = show ? 'flex' : 'none';
+        if (!show) {
+            this.setLoadingText(this.t('submitting'));
+        }
+    }
+
+    /**
+     * Change the message under the loading spinner
+     * @param {string} text - Message to show
+     */
+    setLoadingText(text) {
+        const loadingText = document.querySelector('#loading-overlay .loading-text');
+        if (loadingText) {
+            loadingText.textContent = text;
+        }
     }
 
     /**
@@ -2074,63 +5538,450 @@ class MappingApp {
     }
 
     /**
-     * Save current form data as draft to localStorage
+     * Save the current entry as a draft in IndexedDB, photos included.
+     * Saves run one after another so an older save can't overwrite a newer one.
      */
     saveDraft() {
+        const draft = {
+            submission_id: this.getOrCreateDraftSubmissionId(),
+            form_data: { ...this.formData, photos: [] },
+            photos: [...this.formData.photos], // Files and Blobs are stored as they are
+            entry_mode: this.entryMode,
+            updated_at: Date.now()
+        };
+
+        this.draftQueue = this.draftQueue
+            .then(() => this.dbPut('drafts', draft))
+            .catch(error => console.error('Failed to save draft:', error));
+    }
+
+    /**
+     * Load the most recent draft, dropping any older than 24 hours
+     * @returns {Promise<Object|null>} - Draft record, or null if there is none
+     */
+    async loadDraft() {
+        try {
+            // Drafts used to be kept here, without their photos
+            localStorage.removeItem('mappingAppDraft');
+
+            const drafts = await this.dbGetAll('drafts');
+            let latest = null;
+
+            for (const draft of drafts) {
+                const hoursSinceDraft = (Date.now() - draft.updated_at) / (1000 * 60 * 60);
+                if (hoursSinceDraft >= 24 || !this.hasDraftContent(draft)) {
+                    await this.dbDelete('drafts', draft.submission_id);
+                } else if (!latest || draft.updated_at > latest.updated_at) {
+                    latest = draft;
+                }
+            }
+
+            return latest;
+        } catch (error) {
+            console.error('Failed to load draft:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Check whether a draft holds anything worth resuming
+     * @param {Object} draft - Draft record
+     * @returns {boolean} - True if a location, category, note or photo was entered
+     */
+    hasDraftContent(draft) {
+        const data = draft.form_data || {};
+        return Boolean(data.lat || data.category || data.notes || (draft.photos && draft.photos.length > 0));
+    }
+
+    /**
+     * On launch, offer to resume an unfinished entry left from an earlier session
+     */
+    async offerDraftResume() {
+        const draft = await this.loadDraft();
+        const prompt = document.getElementById('draft-prompt');
+        if (!draft || !prompt) return;
+
+        this.pendingDraft = draft;
+        prompt.style.display = 'block';
+    }
+
+    /**
+     * Hide the resume prompt and forget the draft it was offering
+     */
+    hideDraftPrompt() {
+        const prompt = document.getElementById('draft-prompt');
+        if (prompt) {
+            prompt.style.display = 'none';
+        }
+        this.pendingDraft = null;
+    }
+
+    /**
+     * Restore a saved draft and rebuild the screens to match it
+     * @param {Object} draft - Draft record
+     */
+    resumeDraft(draft) {
+        this.hideDraftPrompt();
+        if (!draft) return;
+
+        this.resetEntry();
+        this.formData = {
+            ...this.formData,
+            ...draft.form_data,
+            photos: draft.photos || []
+        };
+        try {
+            localStorage.setItem('mappingAppDraftSubmissionId', draft.submission_id);
+        } catch (error) {
+            console.error('Failed to restore draft submission ID:', error);
+        }
+
+        // Location first, so the map is ready if the user goes back to it
+        this.showScreen('location-screen');
+        // Older drafts kept the island name in lat, with lon set to ISLAND_ENTRY
+        if (this.formData.lon === 'ISLAND_ENTRY') {
+            this.formData.island = this.formData.lat;
+            this.formData.atoll = this.getAtoll(this.formData.lat);
+            this.formData.lat = null;
+            this.formData.lon = null;
+        }
+
+        this.setEntryMode(draft.entry_mode || 'map');
+        if (this.entryMode === 'island') {
+            document.getElementById('island-select').value = this.formData.island || '';
+        } else if (this.formData.lat && this.formData.lon) {
+            this.updateLocationDisplay(this.formData.lat, this.formData.lon, this.formData.gps_accuracy_m);
+            this.updateGpsQuality(false);
+            this.initializeMap(this.formData.lat, this.formData.lon);
+        } else {
+            this.requestLocation();
+        }
+        this.setGeometryMode(this.formData.shape || 'point');
+
+        const category = this.config.categories.find(c => c.code === this.formData.category);
+        if (category) {
+            this.restoreDraftForm(category);
+        }
+
+        console.log('Draft resumed:', this.formData);
+    }
+
+    /**
+     * Rebuild the form screen from the restored form data: category,
+     * subcategory, dynamic fields, checklist ticks, tags, notes and photos
+     * @param {Object} category - The draft's category
+     */
+    restoreDraftForm(category) {
+        const subcategoryCode = this.formData.subcategory;
+        const subcategory = (category.subcategories || []).find(s => s.code === subcategoryCode);
+
+        this.showScreen('form-screen', { skipCategoryPopup: true });
+
+        if (category.code === 'immediate_drops' && subcategory) {
+            this.handleQuickDropSelect(category, subcategory);
+        } else {
+            // Dynamic fields, tables and checklists fill themselves from formData
+            this.selectCategory(category);
+            if (subcategory && category.subcategories.length > 1) {
+                document.getElementById('subcategory-select').value = subcategoryCode;
+                this.onSubcategoryChange(subcategoryCode);
+            }
+        }
+
+        const notesInput = document.getElementById('notes-input');
+        notesInput.value = this.formData.notes || '';
+        document.getElementById('notes-count').textContent = notesInput.value.length;
+
+        this.displayPhotos();
+    }
+
+    /**
+     * Delete the draft offered on launch
+     */
+    discardDraft() {
+        const draft = this.pendingDraft;
+        this.hideDraftPrompt();
+        if (!draft) return;
+
+        this.formData.submission_id = draft.submission_id;
+        this.clearDraft();
+    }
+
+    /**
+     * Delete the current draft and reset the form data
+     */
+    clearDraft() {
+        const submissionId = this.formData.submission_id;
+        if (submissionId) {
+            this.draftQueue = this.draftQueue
+                .then(() => this.dbDelete('drafts', submissionId))
+                .catch(error => console.error('Failed to clear draft:', error));
+        }
+
+        try {
+            localStorage.removeItem('mappingAppDraftSubmissionId');
+        } catch (error) {
+            console.error('Failed to clear draft:', error);
+        }
+
+        this.formData = this.getEmptyFormData();
+    }
+
+    /**
+     * Show the list of unfinished drafts and entries waiting to be sent
+     */
+    async showPendingEntries() {
+        this.showScreen('pending-screen');
+        await this.renderPendingEntries();
+    }
+
+    /**
+     * List drafts and queued submissions, newest first, with their
+     * category, time, first photo and the actions that apply to each
+     */
+    async renderPendingEntries() {
+        const list = document.getElementById('pending-list');
+        if (!list) return;
+
+        let drafts = [];
+        let queued = [];
         try {
-            const draftData = {
-                ...this.formData,
-                timestamp: Date.now()
+            [drafts, queued] = await Promise.all([this.dbGetAll('drafts'), this.dbGetAll('outbox')]);
+        } catch (error) {
+            console.error('Failed to load pending entries:', error);
+        }
+
+        const items = [
+            ...drafts.filter(draft => this.hasDraftContent(draft)).map(draft => ({
+                type: 'draft',
+                id: draft.submission_id,
+                data: draft.form_data || {},
+                photos: draft.photos || [],
+                time: draft.updated_at,
+                record: draft
+            })),
+            ...queued.map(entry => ({
+                type: 'queued',
+                id: entry.submission_id,
+                data: entry.form_data || entry.payload,
+                photos: entry.photos || [],
+                time: Date.parse(entry.queued_at),
+                record: entry
+            }))
+        ].sort((a, b) => b.time - a.time);
+
+        // Free the thumbnails of the previous render
+        this.pendingThumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+        this.pendingThumbnailUrls = [];
+
+        list.innerHTML = '';
+        if (items.length === 0) {
+            list.innerHTML = `<div class="text-muted text-center">${this.t('pending_none')}</div>`;
+            return;
+        }
+
+        items.forEach(item => {
+            const row = document.createElement('div');
+            row.className = 'pending-item';
+
+            const thumb = document.createElement('div');
+            thumb.className = 'pending-thumb';
+            if (item.photos.length > 0) {
+                const url = URL.createObjectURL(item.photos[0]);
+                this.pendingThumbnailUrls.push(url);
+                const img = document.createElement('img');
+                img.src = url;
+                img.alt = '';
+                thumb.appendChild(img);
+            } else {
+                thumb.textContent = CATEGORY_ICONS[item.data.category] || '📍';
+            }
+
+            const info = document.createElement('div');
+            info.className = 'pending-info';
+            info.innerHTML = `
+                <div class="pending-title"></div>
+                <div class="text-muted small pending-meta"></div>
+            `;
+            info.querySelector('.pending-title').textContent = this.getEntryLabel(item.data);
+
+            let status = item.type === 'draft' ? this.t('pending_draft') : this.t('pending_queued');
+            if (item.type === 'queued' && item.record.rejected) {
+                status = this.t('pending_rejected', { error: item.record.last_error });
+            } else if (item.type === 'queued' && item.record.last_error) {
+                status += ` · ${this.t('pending_last_error', { error: item.record.last_error })}`;
+            }
+            info.querySelector('.pending-meta').textContent =
+                `${new Date(item.time).toLocaleString(this.language)} · ${status}`;
+
+            const actions = document.createElement('div');
+            actions.className = 'pending-actions';
+            const addAction = (label, className, onClick) => {
+                const button = document.createElement('button');
+                button.className = `btn btn-sm ${className}`;
+                button.textContent = label;
+                button.onclick = onClick;
+                actions.appendChild(button);
             };
-            localStorage.setItem('mappingAppDraft', JSON.stringify(draftData));
+
+            if (item.type === 'draft') {
+                addAction(this.t('pending_resume'), 'btn-primary', () => this.resumeDraft(item.record));
+                addAction(this.t('delete'), 'btn-outline-secondary', () => this.deletePendingDraft(item.id));
+            } else {
+                addAction(this.t('pending_send_now'), 'btn-primary', () => this.sendOutboxEntryNow(item.id));
+                // Once the record has reached the server, only its photos are left to send
+                if (!item.record.record_sent && item.record.form_data) {
+                    addAction(this.t('pending_edit'), 'btn-outline-primary', () => this.editOutboxEntry(item.id));
+                }
+                addAction(this.t('delete'), 'btn-outline-secondary', () => this.deleteOutboxEntry(item.id));
+            }
+
+            row.appendChild(thumb);
+            row.appendChild(info);
+            row.appendChild(actions);
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Describe an entry by its subcategory and category labels
+     * @param {Object} data - Form data or submission data
+     * @returns {string} - Label in the current language
+     */
+    getEntryLabel(data) {
+        const category = this.config.categories.find(c => c.code === data.category);
+        if (!category) {
+            return this.t('pending_no_category');
+        }
+
+        const subcategory = (category.subcategories || []).find(s => s.code === data.subcategory);
+        const categoryLabel = this.translateLabel(category.label);
+        return subcategory ? `${this.translateLabel(subcategory.label)} · ${categoryLabel}` : categoryLabel;
+    }
+
+    /**
+     * Delete a draft from the pending entries list
+     * @param {string} submissionId - Draft's submission ID
+     */
+    async deletePendingDraft(submissionId) {
+        if (!confirm(this.t('confirm_delete_draft'))) return;
+
+        if (this.formData.submission_id === submissionId) {
+            this.clearDraft();
+        } else {
+            this.draftQueue = this.draftQueue
+                .then(() => this.dbDelete('drafts', submissionId))
+                .catch(error => console.error('Failed to delete draft:', error));
+        }
+        await this.draftQueue;
+        await this.renderPendingEntries();
+    }
+
+    /**
+     * Delete a queued submission without sending it
+     * @param {string} submissionId - Submission ID
+     */
+    async deleteOutboxEntry(submissionId) {
+        if (this.outboxSending) {
+            this.showError(this.t('error_entry_sending'));
+            return;
+        }
+        if (!confirm(this.t('confirm_delete_queued'))) return;
+
+        try {
+            const entry = await this.dbGet('outbox', submissionId);
+            await this.dbDelete('outbox', submissionId);
+            // Never sent, so it is no longer one of my pins or part of the campaign's progress
+            await this.dbDelete('history', submissionId);
+            if (entry) {
+                await this.forgetPlaceVisit(entry.payload);
+            }
         } catch (error) {
-            console.error('Failed to save draft:', error);
+            console.error('Failed to delete queued submission:', error);
         }
+        this.renderMyPins();
+        await this.updateCampaignProgress();
+        await this.updateOutboxBadge();
+        await this.renderPendingEntries();
     }
 
     /**
-     * Load saved draft from localStorage
+     * Send one queued submission now, ignoring its backoff delay
+     * @param {string} submissionId - Submission ID
      */
-    loadDraft() {
+    async sendOutboxEntryNow(submissionId) {
+        if (this.outboxSending) {
+            this.showError(this.t('error_entry_sending'));
+            return;
+        }
+
+        this.outboxSending = true;
+        this.showLoading(true);
+
         try {
-            const draftData = localStorage.getItem('mappingAppDraft');
-            if (draftData) {
-                const draft = JSON.parse(draftData);
-                
-                // Check if draft is recent (within 24 hours)
-                const hoursSinceDraft = (Date.now() - draft.timestamp) / (1000 * 60 * 60);
-                if (hoursSinceDraft < 24) {
-                    this.formData = { ...this.formData, ...draft };
-                    console.log('Draft loaded:', this.formData);
-                } else {
-                    this.clearDraft();
+            const entry = await this.dbGet('outbox', submissionId);
+            if (entry) {
+                try {
+                    await this.deliverOutboxEntry(entry);
+                } catch (error) {
+                    console.error(`Failed to send submission ${submissionId}:`, error);
+                    await this.markOutboxFailure(entry, error);
+                    this.showError(error.rejected
+                        ? this.t('error_rejected', { error: error.message })
+                        : this.t('error_send_now'));
                 }
             }
         } catch (error) {
-            console.error('Failed to load draft:', error);
-            this.clearDraft();
+            console.error('Failed to load queued submission:', error);
+        } finally {
+            this.outboxSending = false;
+            this.showLoading(false);
+            await this.updateOutboxBadge();
+            this.scheduleOutboxRetry();
+            await this.renderPendingEntries();
         }
     }
 
     /**
-     * Clear saved draft from localStorage
+     * Take a queued submission that hasn't reached the server back out of
+     * the outbox and open it as a draft for editing. If an earlier send may
+     * have been stored despite failing, the backend would drop a resend under
+     * the same ID as a duplicate, so after a warning the edit gets a new ID.
+     * @param {string} submissionId - Submission ID
      */
-    clearDraft() {
+    async editOutboxEntry(submissionId) {
+        if (this.outboxSending) {
+            this.showError(this.t('error_entry_sending'));
+            return;
+        }
+
         try {
-            localStorage.removeItem('mappingAppDraft');
-			localStorage.removeItem('mappingAppDraftSubmissionId');
-            this.formData = {
-                lat: null,
-                lon: null,
-                gps_accuracy_m: null,
-                category: '',
-                subcategory: '',
-                tags: [],
-                notes: '',
-                photos: []
+            const entry = await this.dbGet('outbox', submissionId);
+            if (!entry || entry.record_sent || !entry.form_data) return;
+
+            const mayBeStored = entry.record_attempted && !entry.rejected;
+            if (mayBeStored && !confirm(this.t('confirm_edit_maybe_sent'))) return;
+
+            const draftId = mayBeStored ? this.generateUUID() : entry.submission_id;
+            const draft = {
+                submission_id: draftId,
+                form_data: { ...entry.form_data, submission_id: draftId },
+                photos: entry.photos || [],
+                entry_mode: entry.entry_mode,
+                updated_at: Date.now()
             };
+            await this.dbPut('drafts', draft);
+            await this.dbDelete('outbox', submissionId);
+            if (draftId !== submissionId) {
+                // The edited entry is added to the history and its place again when it is submitted
+                await this.dbDelete('history', submissionId);
+                await this.forgetPlaceVisit(entry.payload);
+            }
+            await this.updateOutboxBadge();
+
+            this.resumeDraft(draft);
         } catch (error) {
-            console.error('Failed to clear draft:', error);
+            console.error('Failed to open queued submission for editing:', error);
         }
     }
 
@@ -2138,34 +5989,37 @@ class MappingApp {
      * Start a new entry (reset form and go to start screen)
      */
     startNewEntry() {
-        this.clearDraft();
+        this.resetEntry();
+        this.showScreen('start-screen');
+    }
+
+    /**
+     * Reset the form data and the form screen for a fresh entry.
+     * Drafts already saved are left on the device.
+     */
+    resetEntry() {
+        this.stopLocationSampling();
+        this.stopGeometryTracking();
         this.currentLocation = null;
-        this.formData = {
-            lat: null,
-            lon: null,
-            gps_accuracy_m: null,
-            category: '',
-            subcategory: '',
-            tags: [],
-            notes: '',
-            photos: []
-        };
+        this.formData = this.getEmptyFormData();
 		localStorage.removeItem('mappingAppDraftSubmissionId');
+        this.setGeometryMode('point');
         
         // Reset form elements
         document.getElementById('subcategory-select').selectedIndex = 0;
         document.getElementById('notes-input').value = '';
+        document.getElementById('notes-count').textContent = 0;
         document.getElementById('photo-preview').innerHTML = '';
+        this.clearDynamicFields();
         
         // Hide all sections
         document.getElementById('selected-category').style.display = 'none';
+        document.getElementById('visit-section').style.display = 'none';
         document.getElementById('subcategory-section').style.display = 'none';
         document.getElementById('notes-section').style.display = 'none';
         document.getElementById('tags-section').style.display = 'none';
         document.getElementById('photos-section').style.display = 'none';
         document.getElementById('submit-section').style.display = 'none';
-        
-        this.showScreen('start-screen');
     }
 
     /**
@@ -2206,18 +6060,21 @@ class MappingApp {
 
         const lowerCaseQuery = query.toLowerCase();
         const results = this.allSubcategories.filter(sub => 
-            sub.label.toLowerCase().includes(lowerCaseQuery)
+            this.isAllowedInCampaign(sub.parentCategory.code, sub.code) && (
+                sub.label.toLowerCase().includes(lowerCaseQuery) ||
+                this.translateLabel(sub.label).toLowerCase().includes(lowerCaseQuery)
+            )
         );
 
         if (results.length === 0) {
-            resultsContainer.innerHTML = '<div class="search-result-item no-results">No matches found</div>';
+            resultsContainer.innerHTML = `<div class="search-result-item no-results">${this.t('no_matches')}</div>`;
         } else {
             results.forEach(result => {
                 const item = document.createElement('div');
                 item.className = 'search-result-item';
                 item.innerHTML = `
-                    <div class="search-result-label">${result.label}</div>
-                    <div class="search-result-parent">${result.parentCategory.label}</div>
+                    <div class="search-result-label">${this.translateLabel(result.label)}</div>
+                    <div class="search-result-parent">${this.translateLabel(result.parentCategory.label)}</div>
                 `;
                 item.onclick = () => this.handleSearchResultSelect(result.parentCategory, result);
                 resultsContainer.appendChild(item);
@@ -15,10 +15,35 @@ const CONFIG = {
   // Sheet name within the spreadsheet
   SHEET_NAME: 'submissions',
   
+  // Sheet listing every stored submission_id, used to detect duplicates
+  INDEX_SHEET_NAME: 'submission_index',
+  
+  // Sheets with one row per price basket item and per medicine
+  PRICE_SHEET_NAME: 'price_observations',
+  MED_SHEET_NAME: 'med_observations',
+  
+  // Subfolder of the Drive folder holding photo chunks until a photo is complete
+  CHUNK_FOLDER_NAME: 'upload_chunks',
+  
+  // Highest photo number a submission can have (photo_1_url ... photo_5_url)
+  MAX_PHOTOS: 5,
+  
+  // Most vertices a line or area can have (geometry_max_vertices in config.json)
+  MAX_GEOMETRY_VERTICES: 1000,
+  
+  // Most submissions in one batch request from a walk survey (OUTBOX_BATCH_SIZE in app.js)
+  MAX_BATCH_SIZE: 50,
+  
+  // The app's config.json - its columns and form fields become sheet columns
+  SCHEMA_URL: 'https://island-mapping-tool.vercel.app/config.json',
+  
   // Allowed domains for CORS (update with your domain)
   ALLOWED_ORIGINS: ['https://island-mapping-tool.vercel.app/', 'http://island-mapping-tool.vercel.app/', 'http://localhost:8000']
 };
 
+// Earth radius used for lengths and areas, the same as Leaflet's in the app
+const EARTH_RADIUS_M = 6371000;
+
 /**
  * Main doPost function - handles incoming form submissions
  * This is the entry point for all POST requests to the web app
@@ -28,10 +53,77 @@ function doPost(e) {
     // Data is now sent as a single JSON string, making it easy to parse.
     const payload = JSON.parse(e.postData.contents);
     
-    // Validate the submission data
-    const validationResult = validateSubmission(payload);
-    if (!validationResult.valid) {
-      return createErrorResponse(validationResult.error, 400);
+    // Photos are uploaded separately, in chunks, after the record is stored
+    if (payload.action === 'photo_chunk') {
+      return handlePhotoChunk(payload);
+    }
+    
+    // Walk survey sessions send their entries together
+    if (payload.action === 'batch') {
+      return handleBatch(payload);
+    }
+    
+    const result = storeSubmission(payload);
+    if (!result.success) {
+      return createErrorResponse(result.error, result.status);
+    }
+    
+    const response = {
+      message: result.duplicate ? 'Submission already received' : 'Submission received successfully',
+      submission_id: result.submission_id,
+      row_number: result.row_number
+    };
+    if (result.duplicate) {
+      response.duplicate = true;
+    }
+    return createSuccessResponse(response);
+    
+  } catch (error) {
+    console.error('Error in doPost:', error);
+    console.error('Request Body: ' + (e ? e.postData.contents : 'No event data'));
+    return createErrorResponse('Internal server error: ' + error.message, 500);
+  }
+}
+
+/**
+ * Validate and store one submission. A resend of a submission that is
+ * already stored is recognised by its submission_id and not stored again.
+ * @param {Object} payload - Submission data
+ * @returns {Object} - success, submission_id and row_number (duplicate when it
+ *     was already stored), or error with an HTTP status code
+ */
+function storeSubmission(payload) {
+  // Validate the submission data
+  normalizeLegacyIslandEntry(payload);
+  const validationResult = validateSubmission(payload);
+  if (!validationResult.valid) {
+    return { success: false, error: validationResult.error, status: 400 };
+  }
+  
+  // Only one submission is stored at a time, so a resend of the same entry
+  // cannot slip in between the duplicate check and the append
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  
+  try {
+    // A resend after a timeout reuses the submission_id - don't store it twice
+    const existing = findSubmission(payload.submission_id);
+    if (existing && existing.observationsPending) {
+      // Fill in the item rows that could not be stored the first time
+      Object.assign(payload, checkSubmissionIsland(payload, loadSchema()));
+      const retryResult = appendObservations(payload);
+      if (!retryResult.success) {
+        return { success: false, error: 'Failed to save item rows: ' + retryResult.error, status: 500 };
+      }
+      clearObservationsPending(existing.indexRow);
+    }
+    if (existing) {
+      return {
+        success: true,
+        submission_id: payload.submission_id,
+        row_number: existing.rowNumber,
+        duplicate: true
+      };
     }
     
     // Process photos from the base64 data in the payload
@@ -43,27 +135,75 @@ function doPost(e) {
     // Append data to Google Sheet
     const sheetResult = appendToSheet(submissionData);
     
-    if (sheetResult.success) {
-      return createSuccessResponse({
-        message: 'Submission received successfully',
-        submission_id: submissionData.submission_id,
-        row_number: sheetResult.rowNumber
-      });
-    } else {
-      return createErrorResponse('Failed to save to sheet: ' + sheetResult.error, 500);
+    if (!sheetResult.success) {
+      return { success: false, error: 'Failed to save to sheet: ' + sheetResult.error, status: 500 };
     }
     
-  } catch (error) {
-    console.error('Error in doPost:', error);
-    console.error('Request Body: ' + (e ? e.postData.contents : 'No event data'));
-    return createErrorResponse('Internal server error: ' + error.message, 500);
+    // When the item rows can't be stored, the submission is indexed with
+    // them pending and the app is told to resend, which fills them in
+    const observationResult = appendObservations(submissionData);
+    recordSubmission(submissionData.submission_id, sheetResult.rowNumber, !observationResult.success);
+    if (!observationResult.success) {
+      return { success: false, error: 'Failed to save item rows: ' + observationResult.error, status: 500 };
+    }
+    
+    return {
+      success: true,
+      submission_id: submissionData.submission_id,
+      row_number: sheetResult.rowNumber
+    };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Store the entries of a walk survey session sent in one request. Each is
+ * stored on its own, so one bad entry doesn't hold back the rest; the app
+ * resends only the ones that failed.
+ * @param {Object} payload - {action: 'batch', submissions: [...]}
+ * @returns {TextOutput} - Response with a result per submission
+ */
+function handleBatch(payload) {
+  const submissions = payload.submissions;
+  if (!Array.isArray(submissions) || submissions.length === 0) {
+    return createErrorResponse('Missing submissions', 400);
   }
+  if (submissions.length > CONFIG.MAX_BATCH_SIZE) {
+    return createErrorResponse(`A batch can hold at most ${CONFIG.MAX_BATCH_SIZE} submissions`, 400);
+  }
+  
+  const results = submissions.map(submission => {
+    try {
+      const result = storeSubmission(submission);
+      return result.success
+        ? { submission_id: submission.submission_id, success: true, row_number: result.row_number, duplicate: !!result.duplicate }
+        : { submission_id: submission.submission_id, success: false, error: result.error, statusCode: result.status };
+    } catch (error) {
+      console.error(`Error storing ${submission && submission.submission_id} in batch:`, error);
+      return { submission_id: submission && submission.submission_id, success: false, error: error.message, statusCode: 500 };
+    }
+  });
+  
+  const stored = results.filter(result => result.success).length;
+  return createSuccessResponse({
+    message: `Stored ${stored} of ${results.length} submissions`,
+    results: results
+  });
 }
 
 /**
- * Handle GET requests (for testing)
+ * Handle GET requests: a health check, or an export of the submissions for
+ * admins with ?format=geojson|csv|kml&token=...
+ * @param {Object} e - Request event
+ * @returns {TextOutput} - Response
  */
 function doGet(e) {
+  const params = (e && e.parameter) || {};
+  if (params.format) {
+    return handleExport(params);
+  }
+  
   setCorsHeaders();
   return ContentService.createTextOutput(JSON.stringify({
     message: 'Mapping app backend is running',
@@ -72,6 +212,311 @@ function doGet(e) {
   })).setMimeType(ContentService.MimeType.JSON);
 }
 
+// Columns exported as numbers, besides the schema's number fields
+const EXPORT_NUMBER_COLUMNS = [
+  'lat', 'lon', 'gps_accuracy_m', 'gps_sample_count', 'gps_lat', 'gps_lon',
+  'drag_distance_m', 'length_m', 'area_m2', 'schema_version', 'price_mvr', 'med_price_mvr'
+];
+
+// Columns holding JSON, exported as objects in GeoJSON
+const EXPORT_JSON_COLUMNS = ['geometry', 'rapid_entry_data', 'extra_json'];
+
+// Columns holding yes/no, exported as booleans in GeoJSON
+const EXPORT_YES_NO_COLUMNS = ['consent_confirmed', 'pin_moved'];
+
+/**
+ * Export the submissions, cleaned and filtered, as GeoJSON, CSV or KML.
+ * Filters: category (comma-separated), island, campaign, and from/to
+ * dates (YYYY-MM-DD, inclusive) on submitted_at_iso.
+ * @param {Object} params - Query parameters
+ * @returns {TextOutput} - The export, or an error response
+ */
+function handleExport(params) {
+  if (!isAdminToken(params.token)) {
+    return createErrorResponse('Invalid or missing admin token', 403);
+  }
+  
+  const format = String(params.format).toLowerCase();
+  if (['geojson', 'csv', 'kml'].indexOf(format) === -1) {
+    return createErrorResponse(`Unsupported format: ${params.format}`, 400);
+  }
+  
+  for (let name of ['from', 'to']) {
+    if (params[name] && !/^\d{4}-\d{2}-\d{2}$/.test(params[name])) {
+      return createErrorResponse(`Invalid ${name} date, use YYYY-MM-DD`, 400);
+    }
+  }
+  
+  try {
+    const schema = loadSchema();
+    const numberColumns = EXPORT_NUMBER_COLUMNS.concat(
+      getSchemaFields(schema).filter(field => field.type === 'number').map(field => field.name)
+    );
+    
+    const submissions = readSubmissions();
+    const records = submissions.rows
+      .map(row => cleanExportRecord(row, schema, numberColumns))
+      .filter(record => matchesExportFilters(record, params));
+    
+    if (format === 'csv') {
+      return ContentService.createTextOutput(toCsv(records, submissions.headers))
+        .setMimeType(ContentService.MimeType.CSV);
+    }
+    if (format === 'kml') {
+      return ContentService.createTextOutput(toKml(records))
+        .setMimeType(ContentService.MimeType.XML);
+    }
+    return ContentService.createTextOutput(JSON.stringify(toGeoJson(records)))
+      .setMimeType(ContentService.MimeType.JSON);
+    
+  } catch (error) {
+    console.error('Error in export:', error);
+    return createErrorResponse('Export failed: ' + error.message, 500);
+  }
+}
+
+/**
+ * Check the admin token of an export request against the ADMIN_TOKEN
+ * script property. With no token set up, every export is refused.
+ * @param {string} token - Token from the request
+ * @returns {boolean} - True if the token matches
+ */
+function isAdminToken(token) {
+  const expected = PropertiesService.getScriptProperties().getProperty('ADMIN_TOKEN');
+  if (!expected || typeof token !== 'string' || token.length !== expected.length) {
+    return false;
+  }
+  
+  // Compare every character, so the time taken doesn't give the token away
+  let difference = 0;
+  for (let i = 0; i < expected.length; i++) {
+    difference |= token.charCodeAt(i) ^ expected.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+/**
+ * Read every row of the submissions sheet
+ * @returns {Object} - headers, and rows as objects keyed by header
+ */
+function readSubmissions() {
+  const sheet = SpreadsheetApp.openById(CONFIG.SHEET_ID).getSheetByName(CONFIG.SHEET_NAME);
+  if (!sheet) {
+    return { headers: [], rows: [] };
+  }
+  
+  const values = sheet.getDataRange().getValues();
+  const headers = (values[0] || []).map(String);
+  const rows = values.slice(1).map(row => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = row[index];
+    });
+    return record;
+  });
+  
+  return { headers, rows };
+}
+
+/**
+ * Clean a sheet row for export. Rows from older clients are brought in
+ * line with current ones: island entries that kept the island name in lat
+ * (with lon set to ISLAND_ENTRY), and form data stored in subcategory.
+ * Numbers come out as numbers and dates as ISO strings.
+ * @param {Object} row - Row keyed by header
+ * @param {Object|null} schema - Parsed config.json
+ * @param {Array<string>} numberColumns - Columns to export as numbers
+ * @returns {Object} - Cleaned record
+ */
+function cleanExportRecord(row, schema, numberColumns) {
+  const record = {};
+  Object.keys(row).forEach(key => {
+    const value = row[key];
+    record[key] = value instanceof Date ? value.toISOString() : value;
+  });
+  
+  normalizeLegacyIslandEntry(record);
+  
+  // The first app versions sent the price basket, pharmacy stock or
+  // accessibility data as JSON in place of the subcategory
+  const subcategory = String(record.subcategory || '');
+  if (/^[[{]/.test(subcategory)) {
+    if (!record.rapid_entry_data) {
+      record.rapid_entry_data = subcategory;
+    }
+    const category = ((schema && schema.categories) || []).find(c => c.code === record.category);
+    const subcategories = (category && category.subcategories) || [];
+    record.subcategory = subcategories.length === 1 ? subcategories[0].code : '';
+  }
+  
+  numberColumns.forEach(column => {
+    if (!(column in record)) {
+      return;
+    }
+    if (record[column] === '' || record[column] === undefined || record[column] === null) {
+      record[column] = null;
+    } else {
+      const number = Number(record[column]);
+      record[column] = isNaN(number) ? null : number;
+    }
+  });
+  
+  return record;
+}
+
+/**
+ * Check a cleaned record against the export filters
+ * @param {Object} record - Record from cleanExportRecord
+ * @param {Object} params - Query parameters
+ * @returns {boolean} - True if the record is exported
+ */
+function matchesExportFilters(record, params) {
+  if (params.category && params.category.split(',').indexOf(record.category) === -1) {
+    return false;
+  }
+  if (params.island && record.island !== params.island) {
+    return false;
+  }
+  if (params.campaign && record.campaign_id !== params.campaign) {
+    return false;
+  }
+  
+  const day = String(record.submitted_at_iso || '').slice(0, 10);
+  if (params.from && day < params.from) {
+    return false;
+  }
+  if (params.to && day > params.to) {
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Get the GeoJSON geometry of a record: its line or area, or else its
+ * point. Island entries without a centroid have none.
+ * @param {Object} record - Record from cleanExportRecord
+ * @returns {Object|null} - GeoJSON geometry
+ */
+function getRecordGeometry(record) {
+  if (record.geometry) {
+    try {
+      const geometry = typeof record.geometry === 'string' ? JSON.parse(record.geometry) : record.geometry;
+      if (!validateGeometry(geometry)) {
+        return geometry;
+      }
+    } catch (error) {
+      console.warn(`Invalid geometry in ${record.submission_id}:`, error);
+    }
+  }
+  
+  if (typeof record.lat === 'number' && typeof record.lon === 'number') {
+    return { type: 'Point', coordinates: [record.lon, record.lat] };
+  }
+  return null;
+}
+
+/**
+ * Build a GeoJSON FeatureCollection, with JSON columns parsed, tags as a
+ * list and yes/no columns as booleans
+ * @param {Array<Object>} records - Records from cleanExportRecord
+ * @returns {Object} - FeatureCollection
+ */
+function toGeoJson(records) {
+  const features = records.map(record => {
+    const properties = { ...record };
+    delete properties.geometry;
+    
+    EXPORT_JSON_COLUMNS.forEach(column => {
+      if (typeof properties[column] === 'string' && properties[column]) {
+        try {
+          properties[column] = JSON.parse(properties[column]);
+        } catch (error) {
+          // Leave text that isn't JSON as it is
+        }
+      }
+    });
+    EXPORT_YES_NO_COLUMNS.forEach(column => {
+      if (properties[column] === 'yes' || properties[column] === 'no') {
+        properties[column] = properties[column] === 'yes';
+      }
+    });
+    if (typeof properties.tags === 'string') {
+      properties.tags = properties.tags ? properties.tags.split(';') : [];
+    }
+    
+    return {
+      type: 'Feature',
+      id: record.submission_id,
+      geometry: getRecordGeometry(record),
+      properties: properties
+    };
+  });
+  
+  return { type: 'FeatureCollection', features: features };
+}
+
+/**
+ * Build a CSV file with the sheet's columns. Text that a spreadsheet would
+ * run as a formula (starting with =, +, -, @, tab or return) gets a leading
+ * apostrophe; numbers, such as negative latitudes, are left alone.
+ * @param {Array<Object>} records - Records from cleanExportRecord
+ * @param {Array<string>} headers - Column order
+ * @returns {string} - CSV text
+ */
+function toCsv(records, headers) {
+  const escape = value => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  
+  const lines = [headers.map(escape).join(',')];
+  records.forEach(record => {
+    lines.push(headers.map(header => escape(record[header])).join(','));
+  });
+  return lines.join('\r\n');
+}
+
+/**
+ * Build a KML document with a placemark per record and its columns as
+ * extended data
+ * @param {Array<Object>} records - Records from cleanExportRecord
+ * @returns {string} - KML text
+ */
+function toKml(records) {
+  const escape = value => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const toCoordinates = positions => positions.map(position => `${position[0]},${position[1]}`).join(' ');
+  
+  const placemarks = records.map(record => {
+    const geometry = getRecordGeometry(record);
+    let shape = '';
+    if (geometry && geometry.type === 'Point') {
+      shape = `<Point><coordinates>${toCoordinates([geometry.coordinates])}</coordinates></Point>`;
+    } else if (geometry && geometry.type === 'LineString') {
+      shape = `<LineString><coordinates>${toCoordinates(geometry.coordinates)}</coordinates></LineString>`;
+    } else if (geometry && geometry.type === 'Polygon') {
+      shape = `<Polygon><outerBoundaryIs><LinearRing><coordinates>${toCoordinates(geometry.coordinates[0])}</coordinates></LinearRing></outerBoundaryIs></Polygon>`;
+    }
+    
+    const data = Object.keys(record)
+      .filter(key => key !== 'geometry' && record[key] !== null && record[key] !== '')
+      .map(key => `<Data name="${escape(key)}"><value>${escape(record[key])}</value></Data>`)
+      .join('');
+    
+    const name = record.title_or_name || record.subcategory || record.submission_id;
+    return `<Placemark><name>${escape(name)}</name><ExtendedData>${data}</ExtendedData>${shape}</Placemark>`;
+  });
+  
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>Island mapping export</name>\n' +
+    placemarks.join('\n') +
+    '\n</Document></kml>';
+}
+
 /**
  * Set CORS headers to allow cross-origin requests
  */
@@ -80,6 +525,23 @@ function setCorsHeaders() {
   // You may need to deploy as a web app with proper permissions
 }
 
+/**
+ * Move the island name of an island entry from an older client, which sent
+ * it in lat with lon set to ISLAND_ENTRY, into the island field
+ * @param {Object} data - The submission data, updated in place
+ */
+function normalizeLegacyIslandEntry(data) {
+  if (data.lon !== 'ISLAND_ENTRY') {
+    return;
+  }
+  
+  data.island = data.island || data.lat;
+  data.entry_mode = 'island';
+  data.location_source = 'island';
+  data.lat = '';
+  data.lon = '';
+}
+
 /**
  * Validate submission data
  * @param {Object} data - The submission data to validate
@@ -87,7 +549,7 @@ function setCorsHeaders() {
  */
 function validateSubmission(data) {
   const requiredFields = [
-    'submission_id', 'submitted_at_iso', 'lat', 'lon', 
+    'submission_id', 'submitted_at_iso',
     'category', 'subcategory', 'consent_confirmed'
   ];
   
@@ -101,8 +563,17 @@ function validateSubmission(data) {
     }
   }
   
-  // Validate coordinates only if it's not an island entry
-  if (data.lon !== 'ISLAND_ENTRY') {
+  // Island entries name their island; a point (the island's centroid) is optional
+  const isIslandEntry = data.entry_mode === 'island';
+  if (isIslandEntry && !data.island) {
+    return {
+      valid: false,
+      error: 'Missing required field: island'
+    };
+  }
+  
+  const hasPoint = data.lat !== undefined && data.lat !== null && data.lat !== '';
+  if (!isIslandEntry || hasPoint) {
     const lat = parseFloat(data.lat);
     const lon = parseFloat(data.lon);
     
@@ -121,6 +592,52 @@ function validateSubmission(data) {
     }
   }
   
+  // Older clients don't say where the point came from
+  const locationSources = ['gps', 'dragged', 'typed', 'island', 'drawn', 'tracked'];
+  if (data.location_source && locationSources.indexOf(data.location_source) === -1) {
+    return {
+      valid: false,
+      error: 'Invalid location_source value'
+    };
+  }
+  
+  const dragDistance = data.drag_distance_m;
+  if (dragDistance !== undefined && dragDistance !== null && dragDistance !== ''
+      && (isNaN(parseFloat(dragDistance)) || parseFloat(dragDistance) < 0)) {
+    return {
+      valid: false,
+      error: 'Invalid drag_distance_m value'
+    };
+  }
+  
+  // Lines and areas come as GeoJSON, with lat/lon at their middle
+  if (data.geometry) {
+    const geometryError = validateGeometry(data.geometry);
+    if (geometryError) {
+      return {
+        valid: false,
+        error: geometryError
+      };
+    }
+  }
+  
+  // Device hash is optional (older clients and browsers without Web Crypto),
+  // but when present it must be a SHA-256 hex digest
+  if (data.device_hash && !/^[0-9a-f]{64}$/.test(data.device_hash)) {
+    return {
+      valid: false,
+      error: 'Invalid device_hash value'
+    };
+  }
+  
+  // Rapid-entry items, when present, are a list of per-item objects
+  if (data.observations !== undefined && !Array.isArray(data.observations)) {
+    return {
+      valid: false,
+      error: 'Invalid observations value'
+    };
+  }
+  
   // Validate consent
   if (data.consent_confirmed !== 'yes') {
     return {
@@ -187,6 +704,147 @@ function processPhotos(photos, submissionId) {
   return photoUrls;
 }
 
+/**
+ * Store one chunk of a photo and, once every chunk has arrived, join them
+ * into the final Drive file and fill in photo_N_url on the submission's row.
+ * Re-sending a chunk overwrites it, so clients can safely resume after a drop.
+ * @param {Object} payload - Chunk request from the client
+ * @returns {TextOutput} - Response with complete flag and photo URL when done
+ */
+function handlePhotoChunk(payload) {
+  const validationResult = validatePhotoChunk(payload);
+  if (!validationResult.valid) {
+    return createErrorResponse(validationResult.error, 400);
+  }
+  
+  const submissionId = payload.submission_id;
+  const photoIndex = Number(payload.photo_index);
+  const chunkIndex = Number(payload.chunk_index);
+  const chunkCount = Number(payload.chunk_count);
+  
+  // Take the lock before looking up the submission, as storeSubmission
+  // does, so the lookup never reads the index while a record is being added
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  
+  try {
+    const existing = findSubmission(submissionId);
+    if (!existing) {
+      return createErrorResponse('Unknown submission_id - send the record before its photos', 404);
+    }
+    
+    const sheet = SpreadsheetApp.openById(CONFIG.SHEET_ID).getSheetByName(CONFIG.SHEET_NAME);
+    const photoHeader = `photo_${photoIndex}_url`;
+    const photoColumn = ensureColumns(sheet, [photoHeader]).indexOf(photoHeader) + 1;
+    
+    // Rows move when admins sort or delete them, so find it by ID rather
+    // than trusting the row number in the index
+    const rowNumber = findSubmissionRow(sheet, submissionId);
+    if (!rowNumber) {
+      return createErrorResponse('Submission row not found in the sheet', 404);
+    }
+    
+    // The photo was already put together on an earlier attempt
+    const currentUrl = sheet.getRange(rowNumber, photoColumn).getValue();
+    if (currentUrl) {
+      return createSuccessResponse({ complete: true, photo_index: photoIndex, url: currentUrl });
+    }
+    
+    const chunkFolder = getChunkFolder();
+    const baseName = `${submissionId}_photo_${photoIndex}`;
+    const chunkName = `${baseName}.part${chunkIndex}`;
+    
+    // Replace any earlier copy of this chunk
+    const oldChunks = chunkFolder.getFilesByName(chunkName);
+    while (oldChunks.hasNext()) {
+      oldChunks.next().setTrashed(true);
+    }
+    chunkFolder.createFile(Utilities.newBlob(
+      Utilities.base64Decode(payload.data),
+      'application/octet-stream',
+      chunkName
+    ));
+    
+    // Wait until every chunk has arrived
+    const parts = [];
+    for (let i = 0; i < chunkCount; i++) {
+      const files = chunkFolder.getFilesByName(`${baseName}.part${i}`);
+      if (!files.hasNext()) {
+        return createSuccessResponse({ complete: false, photo_index: photoIndex, chunk_index: chunkIndex });
+      }
+      parts.push(files.next());
+    }
+    
+    // Join the chunks into the final photo in one go
+    const bytes = [].concat(...parts.map(part => part.getBlob().getBytes()));
+    
+    const folder = DriveApp.getFolderById(CONFIG.DRIVE_FOLDER_ID);
+    const file = folder.createFile(Utilities.newBlob(bytes, payload.mime_type || 'image/jpeg', baseName));
+    file.setSharing(DriveApp.Access.ANYONE_WITH_LINK, DriveApp.Permission.VIEW);
+    const url = file.getUrl();
+    
+    sheet.getRange(rowNumber, photoColumn).setValue(url);
+    parts.forEach(part => part.setTrashed(true));
+    
+    console.log(`Photo ${photoIndex} of ${submissionId} assembled from ${chunkCount} chunks: ${url}`);
+    
+    return createSuccessResponse({ complete: true, photo_index: photoIndex, url: url });
+    
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Validate a photo chunk request
+ * @param {Object} data - The chunk request to validate
+ * @returns {Object} - Validation result with valid flag and error message
+ */
+function validatePhotoChunk(data) {
+  if (!data.submission_id) {
+    return { valid: false, error: 'Missing required field: submission_id' };
+  }
+  
+  const photoIndex = Number(data.photo_index);
+  if (!Number.isInteger(photoIndex) || photoIndex < 1 || photoIndex > CONFIG.MAX_PHOTOS) {
+    return { valid: false, error: 'Invalid photo_index value' };
+  }
+  
+  const chunkCount = Number(data.chunk_count);
+  const chunkIndex = Number(data.chunk_index);
+  if (!Number.isInteger(chunkCount) || chunkCount < 1 ||
+      !Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= chunkCount) {
+    return { valid: false, error: 'Invalid chunk_index or chunk_count value' };
+  }
+  
+  if (typeof data.data !== 'string') {
+    return { valid: false, error: 'Missing required field: data' };
+  }
+  
+  return { valid: true };
+}
+
+/**
+ * Get the Drive folder for photo chunks, creating it if needed
+ * @returns {Folder} - The chunk folder
+ */
+function getChunkFolder() {
+  const folder = DriveApp.getFolderById(CONFIG.DRIVE_FOLDER_ID);
+  const existing = folder.getFoldersByName(CONFIG.CHUNK_FOLDER_NAME);
+  return existing.hasNext() ? existing.next() : folder.createFolder(CONFIG.CHUNK_FOLDER_NAME);
+}
+
+/**
+ * Find a column by its header name
+ * @param {Sheet} sheet - The Google Sheet object
+ * @param {string} header - Header to look for
+ * @returns {number} - 1-based column number, or 0 if missing
+ */
+function getColumnIndex(sheet, header) {
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  return headers.indexOf(header) + 1;
+}
+
 /**
  * Add photo URLs to submission data
  * @param {Object} data - Original submission data
@@ -223,12 +881,19 @@ function appendToSheet(data) {
     // Create sheet if it doesn't exist
     if (!sheet) {
       sheet = spreadsheet.insertSheet(CONFIG.SHEET_NAME);
-      // Add headers
-      addSheetHeaders(sheet);
     }
     
+    // Add headers for any columns the schema declares that the sheet lacks
+    const schema = loadSchema();
+    checkSchemaVersion(data, schema);
+    
+    // Fill in and sanity-check the island; the item rows reuse it
+    Object.assign(data, checkSubmissionIsland(data, schema));
+    Object.assign(data, measureGeometry(data.geometry));
+    const headers = ensureColumns(sheet, getSchemaColumns(schema));
+    
     // Prepare row data in the correct order
-    const rowData = prepareRowData(data);
+    const rowData = prepareRowData(data, headers);
     
     // Append the row
     sheet.appendRow(rowData);
@@ -253,139 +918,754 @@ function appendToSheet(data) {
 }
 
 /**
- * Add headers to the sheet if it's new
+ * Columns of the child sheets holding one row per rapid-entry item
+ */
+const OBSERVATION_HEADERS = {
+  price: ['submission_id', 'place_id', 'observed_at_iso', 'island', 'atoll', 'shop_name', 'item', 'item_label', 'catalog_version', 'price_mvr', 'in_stock', 'lat', 'lon'],
+  med: ['submission_id', 'place_id', 'observed_at_iso', 'island', 'atoll', 'shop_name', 'item', 'item_label', 'catalog_version', 'availability', 'price_mvr', 'lat', 'lon']
+};
+
+/**
+ * Append a row per item of a price basket or pharmacy stock submission
+ * to its child sheet, linked back to the submission by submission_id
+ * @param {Object} data - Submission data
+ * @returns {Object} - Success status and number of rows added
+ */
+function appendObservations(data) {
+  const observations = data.observations || [];
+  if (observations.length === 0) {
+    return { success: true, count: 0 };
+  }
+  
+  try {
+    const kind = data.subcategory === 'pharmacy_stock' ? 'med' : 'price';
+    const sheetName = kind === 'med' ? CONFIG.MED_SHEET_NAME : CONFIG.PRICE_SHEET_NAME;
+    
+    const spreadsheet = SpreadsheetApp.openById(CONFIG.SHEET_ID);
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(sheetName);
+    }
+    const headers = ensureColumns(sheet, OBSERVATION_HEADERS[kind]);
+    
+    const shared = {
+      submission_id: data.submission_id,
+      place_id: data.place_id,
+      observed_at_iso: data.submitted_at_iso,
+      island: data.island,
+      atoll: data.atoll,
+      shop_name: data.title_or_name,
+      lat: data.lat,
+      lon: data.lon
+    };
+    
+    const rows = observations.map(observation => {
+      const row = Object.assign({}, observation, shared);
+      return headers.map(header => toCellValue(row[header]));
+    });
+    
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, headers.length).setValues(rows);
+    
+    console.log(`Added ${rows.length} rows to ${sheetName}`);
+    return { success: true, count: rows.length };
+    
+  } catch (error) {
+    console.error('Error appending observations:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Get the island a submission was made for
+ * @param {Object} data - Submission data
+ * @returns {string} - Island name, or empty if not known
+ */
+function getSubmissionIsland(data) {
+  return data.island || '';
+}
+
+/**
+ * Check a submission's point against the island outlines. Fills in the
+ * island and atoll when the client didn't, and sets geo_flag for admins to review:
+ * 'null_island' for a point at 0,0, 'off_island' when the point is outside
+ * the stated island's outline, 'island_mismatch' when it is on another island.
+ * Islands with only a centroid can fill in the island but are not flagged.
+ * @param {Object} data - Submission data
+ * @param {Object|null} schema - Parsed config.json
+ * @returns {Object} - island, atoll and geo_flag values to store
+ */
+function checkSubmissionIsland(data, schema) {
+  const stated = getSubmissionIsland(data);
+  const result = { island: stated, atoll: data.atoll || '', geo_flag: '' };
+  
+  // Island entries have no point of their own to check
+  if (data.entry_mode === 'island') {
+    return result;
+  }
+  
+  const lat = parseFloat(data.lat);
+  const lon = parseFloat(data.lon);
+  if (Math.abs(lat) < 0.001 && Math.abs(lon) < 0.001) {
+    result.geo_flag = 'null_island';
+    return result;
+  }
+  
+  const outlines = loadIslandOutlines(schema);
+  const found = findIslandAt(lat, lon, outlines);
+  
+  if (stated && found && found !== stated) {
+    result.geo_flag = 'island_mismatch';
+  } else if (stated && !found && outlines.some(feature => feature.properties.name === stated)) {
+    result.geo_flag = 'off_island';
+  } else if (!stated && found) {
+    const feature = outlines.find(f => f.properties.name === found);
+    result.island = found;
+    result.atoll = result.atoll || feature.properties.atoll || '';
+  } else if (!stated) {
+    const nearest = findNearestIslandCentroid(lat, lon, loadIslandFeatures(schema), (schema && schema.island_centroid_snap_m) || 0);
+    if (nearest) {
+      result.island = nearest.properties.name;
+      result.atoll = result.atoll || nearest.properties.atoll || '';
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Find the island whose centroid (properties.centroid, [lon, lat]) is
+ * nearest a point, for islands with no outline yet
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Array<Object>} features - Features from loadIslandFeatures
+ * @param {number} maxDistance - Furthest a centroid may be, in metres
+ * @returns {Object|null} - Feature, or null if none is close enough
+ */
+function findNearestIslandCentroid(lat, lon, features, maxDistance) {
+  let nearest = null;
+  let nearestDistance = maxDistance;
+  features.forEach(feature => {
+    const centroid = feature.properties.centroid;
+    if (feature.geometry || !Array.isArray(centroid)) return;
+    
+    const distance = getDistance([lon, lat], centroid);
+    if (distance <= nearestDistance) {
+      nearest = feature;
+      nearestDistance = distance;
+    }
+  });
+  return nearest;
+}
+
+/**
+ * Load the island outlines named in the schema (island_outlines), a GeoJSON
+ * file next to config.json. Islands without an outline yet are skipped.
+ * @param {Object|null} schema - Parsed config.json
+ * @returns {Array<Object>} - GeoJSON features that have a geometry
+ */
+function loadIslandOutlines(schema) {
+  return loadIslandFeatures(schema).filter(feature => feature.geometry);
+}
+
+/**
+ * Load every island feature of the island_outlines file, with or without
+ * an outline
+ * @param {Object|null} schema - Parsed config.json
+ * @returns {Array<Object>} - GeoJSON features
+ */
+function loadIslandFeatures(schema) {
+  const source = schema && schema.island_outlines;
+  if (!source) {
+    return [];
+  }
+  
+  const cache = CacheService.getScriptCache();
+  const cacheKey = `outlines:${source}`;
+  let text = cache.get(cacheKey);
+  
+  if (!text) {
+    try {
+      const url = CONFIG.SCHEMA_URL.replace(/[^/]*$/, '') + encodeURI(source);
+      const response = UrlFetchApp.fetch(url, { muteHttpExceptions: true });
+      if (response.getResponseCode() !== 200) {
+        console.warn(`Could not load island outlines from ${url}: HTTP ${response.getResponseCode()}`);
+        return [];
+      }
+      text = response.getContentText();
+    } catch (error) {
+      console.warn('Could not load island outlines:', error);
+      return [];
+    }
+    
+    try {
+      cache.put(cacheKey, text, 600);
+    } catch (error) {
+      // Detailed outlines can be larger than a cache entry allows
+      console.warn('Island outlines not cached:', error);
+    }
+  }
+  
+  return JSON.parse(text).features || [];
+}
+
+/**
+ * Find the island a point falls on. Must match findIslandAt in app.js.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Array<Object>} outlines - Features from loadIslandOutlines
+ * @returns {string} - Island name, or empty if the point is on no outlined island
+ */
+function findIslandAt(lat, lon, outlines) {
+  const feature = outlines.find(f => isPointInGeometry(lat, lon, f.geometry));
+  return feature ? feature.properties.name : '';
+}
+
+/**
+ * Check whether a point lies inside a GeoJSON Polygon or MultiPolygon,
+ * outside any of its holes
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {boolean} - True if the point is inside
+ */
+function isPointInGeometry(lat, lon, geometry) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+    : geometry.type === 'MultiPolygon' ? geometry.coordinates
+    : [];
+  
+  return polygons.some(rings =>
+    isPointInRing(lon, lat, rings[0]) &&
+    !rings.slice(1).some(hole => isPointInRing(lon, lat, hole))
+  );
+}
+
+/**
+ * Ray-casting test of a point against one ring of [lon, lat] positions
+ * @param {number} x - Longitude
+ * @param {number} y - Latitude
+ * @param {Array<Array<number>>} ring - Closed ring of positions
+ * @returns {boolean} - True if the point is inside the ring
+ */
+function isPointInRing(x, y, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const xi = ring[i][0], yi = ring[i][1];
+    const xj = ring[j][0], yj = ring[j][1];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Check a line or area sent by the app: a GeoJSON LineString of at least
+ * two positions, or a Polygon whose outer ring has at least three corners
+ * and is closed
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {string} - Error message, or empty if the geometry is valid
+ */
+function validateGeometry(geometry) {
+  if (typeof geometry !== 'object' || !Array.isArray(geometry.coordinates)) {
+    return 'Invalid geometry value';
+  }
+  
+  let positions;
+  if (geometry.type === 'LineString') {
+    positions = geometry.coordinates;
+    if (positions.length < 2) {
+      return 'A line needs at least 2 positions';
+    }
+  } else if (geometry.type === 'Polygon') {
+    positions = geometry.coordinates[0];
+    if (!Array.isArray(positions) || positions.length < 4) {
+      return 'An area needs at least 3 corners';
+    }
+    const first = positions[0];
+    const last = positions[positions.length - 1];
+    if (!Array.isArray(first) || !Array.isArray(last) || first[0] !== last[0] || first[1] !== last[1]) {
+      return 'An area ring must be closed';
+    }
+  } else {
+    return `Unsupported geometry type: ${geometry.type}`;
+  }
+  
+  if (positions.length > CONFIG.MAX_GEOMETRY_VERTICES + 1) {
+    return `Geometry has more than ${CONFIG.MAX_GEOMETRY_VERTICES} positions`;
+  }
+  
+  const valid = positions.every(position =>
+    Array.isArray(position) &&
+    typeof position[0] === 'number' && position[0] >= -180 && position[0] <= 180 &&
+    typeof position[1] === 'number' && position[1] >= -90 && position[1] <= 90
+  );
+  return valid ? '' : 'Invalid geometry position';
+}
+
+/**
+ * Measure a line's length or an area's size. Must match measureShape in app.js.
+ * @param {Object} geometry - Validated GeoJSON LineString or Polygon, or empty
+ * @returns {Object} - length_m and area_m2 values to store
+ */
+function measureGeometry(geometry) {
+  const result = { length_m: '', area_m2: '' };
+  if (!geometry) {
+    return result;
+  }
+  
+  if (geometry.type === 'LineString') {
+    let length = 0;
+    for (let i = 1; i < geometry.coordinates.length; i++) {
+      length += getDistance(geometry.coordinates[i - 1], geometry.coordinates[i]);
+    }
+    result.length_m = Math.round(length * 10) / 10;
+  } else if (geometry.type === 'Polygon') {
+    result.area_m2 = Math.round(getRingArea(geometry.coordinates[0]) * 10) / 10;
+  }
+  
+  return result;
+}
+
+/**
+ * Great-circle distance between two [lon, lat] positions
+ * @param {Array<number>} a - First position
+ * @param {Array<number>} b - Second position
+ * @returns {number} - Distance in metres
+ */
+function getDistance(a, b) {
+  const toRadians = Math.PI / 180;
+  const lat1 = a[1] * toRadians;
+  const lat2 = b[1] * toRadians;
+  const sinLat = Math.sin((lat2 - lat1) / 2);
+  const sinLon = Math.sin((b[0] - a[0]) * toRadians / 2);
+  const h = sinLat * sinLat + Math.cos(lat1) * Math.cos(lat2) * sinLon * sinLon;
+  return 2 * EARTH_RADIUS_M * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+/**
+ * Area of a ring of [lon, lat] positions on the sphere
+ * @param {Array<Array<number>>} ring - Closed or open ring
+ * @returns {number} - Area in square metres
+ */
+function getRingArea(ring) {
+  const toRadians = Math.PI / 180;
+  let area = 0;
+  
+  for (let i = 0; i < ring.length; i++) {
+    const a = ring[i];
+    const b = ring[(i + 1) % ring.length];
+    area += (b[0] - a[0]) * toRadians * (2 + Math.sin(a[1] * toRadians) + Math.sin(b[1] * toRadians));
+  }
+  
+  return Math.abs(area * EARTH_RADIUS_M * EARTH_RADIUS_M / 2);
+}
+
+/**
+ * Get the submission index sheet, creating it if needed
+ * @returns {Sheet} - The index sheet
+ */
+function getIndexSheet() {
+  const spreadsheet = SpreadsheetApp.openById(CONFIG.SHEET_ID);
+  let sheet = spreadsheet.getSheetByName(CONFIG.INDEX_SHEET_NAME);
+  
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(CONFIG.INDEX_SHEET_NAME);
+    sheet.getRange(1, 1, 1, INDEX_HEADERS.length).setValues([INDEX_HEADERS]);
+    sheet.getRange(1, 1, 1, INDEX_HEADERS.length).setFontWeight('bold');
+  }
+  
+  return sheet;
+}
+
+// Columns of the submission index. observations_pending is 'yes' while a
+// submission's item rows still have to be stored.
+const INDEX_HEADERS = ['submission_id', 'row_number', 'stored_at_iso', 'observations_pending'];
+
+/**
+ * Look up a submission ID in the index
+ * @param {string} submissionId - Submission ID to find
+ * @returns {Object|null} - Row number, storage time, whether item rows are
+ *     still pending and the row in the index, or null if not stored yet
+ */
+function findSubmission(submissionId) {
+  const sheet = getIndexSheet();
+  const cell = sheet.getRange('A:A')
+    .createTextFinder(String(submissionId))
+    .matchEntireCell(true)
+    .findNext();
+  
+  if (!cell) {
+    return null;
+  }
+  
+  const row = sheet.getRange(cell.getRow(), 1, 1, INDEX_HEADERS.length).getValues()[0];
+  return {
+    rowNumber: row[1],
+    storedAt: row[2],
+    observationsPending: row[3] === 'yes',
+    indexRow: cell.getRow()
+  };
+}
+
+/**
+ * Find the current row of a submission in the submissions sheet
+ * @param {Sheet} sheet - The submissions sheet
+ * @param {string} submissionId - Submission ID to find
+ * @returns {number} - Row number, or 0 if the row is not in the sheet
+ */
+function findSubmissionRow(sheet, submissionId) {
+  const idColumn = getColumnIndex(sheet, 'submission_id');
+  if (!idColumn) {
+    return 0;
+  }
+  
+  const cell = sheet.getRange(1, idColumn, sheet.getMaxRows(), 1)
+    .createTextFinder(String(submissionId))
+    .matchEntireCell(true)
+    .findNext();
+  return cell ? cell.getRow() : 0;
+}
+
+/**
+ * Add a stored submission to the index
+ * @param {string} submissionId - Submission ID
+ * @param {number} rowNumber - Row in the submissions sheet
+ * @param {boolean} observationsPending - True if its item rows could not be stored
+ */
+function recordSubmission(submissionId, rowNumber, observationsPending = false) {
+  const sheet = getIndexSheet();
+  if (observationsPending) {
+    // Indexes created before the column existed get its header here
+    ensureColumns(sheet, INDEX_HEADERS);
+  }
+  sheet.appendRow([submissionId, rowNumber, new Date().toISOString(), observationsPending ? 'yes' : '']);
+}
+
+/**
+ * Mark a submission's item rows as stored
+ * @param {number} indexRow - The submission's row in the index
+ */
+function clearObservationsPending(indexRow) {
+  getIndexSheet().getRange(indexRow, INDEX_HEADERS.indexOf('observations_pending') + 1).setValue('');
+}
+
+/**
+ * Rebuild the submission index from the submissions sheet
+ * Run this once after upgrading a sheet that already holds data
+ */
+function rebuildSubmissionIndex() {
+  const spreadsheet = SpreadsheetApp.openById(CONFIG.SHEET_ID);
+  const sheet = spreadsheet.getSheetByName(CONFIG.SHEET_NAME);
+  const indexSheet = getIndexSheet();
+  
+  if (indexSheet.getLastRow() > 1) {
+    indexSheet.getRange(2, 1, indexSheet.getLastRow() - 1, INDEX_HEADERS.length).clearContent();
+  }
+  
+  if (!sheet || sheet.getLastRow() < 2) {
+    console.log('No submissions to index');
+    return;
+  }
+  
+  const ids = sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues();
+  const now = new Date().toISOString();
+  const seen = {};
+  const rows = [];
+  
+  ids.forEach((row, index) => {
+    const id = row[0];
+    if (id && !seen[id]) {
+      seen[id] = true;
+      rows.push([id, index + 2, now]);
+    }
+  });
+  
+  if (rows.length > 0) {
+    indexSheet.getRange(2, 1, rows.length, 3).setValues(rows);
+  }
+  
+  console.log(`Indexed ${rows.length} submissions`);
+}
+
+/**
+ * Columns every sheet needs even when the schema can't be loaded.
+ * Anything without a column of its own is kept in extra_json.
+ */
+const REQUIRED_COLUMNS = ['submission_id', 'submitted_at_iso', 'extra_json'];
+
+/**
+ * Payload keys that are never written to the submissions sheet
+ * (observations go to their own sheets, see appendObservations)
+ */
+const NON_COLUMN_KEYS = ['photos', 'action', 'observations'];
+
+/**
+ * Work out the columns the sheet should have: the core columns listed in
+ * the schema, then a column for every single-value form field and checklist item
+ * @param {Object|null} schema - Parsed config.json
+ * @returns {Array<string>} - Column names in order
+ */
+function getSchemaColumns(schema) {
+  const columns = [];
+  const addColumn = (name) => {
+    if (columns.indexOf(name) === -1) {
+      columns.push(name);
+    }
+  };
+  
+  ((schema && schema.columns) || []).forEach(addColumn);
+  getSchemaFieldNames(schema).forEach(addColumn);
+  getChecklistColumns(schema).forEach(addColumn);
+  REQUIRED_COLUMNS.forEach(addColumn);
+  
+  return columns;
+}
+
+/**
+ * Make sure the sheet has a header for every column, appending any that are missing
  * @param {Sheet} sheet - The Google Sheet object
+ * @param {Array<string>} columns - Columns the sheet should have
+ * @returns {Array<string>} - The sheet's headers after the update
  */
-function addSheetHeaders(sheet) {
-  const headers = [
-    'submission_id',
-    'submitted_at_iso',
-    'app_version',
-    'language',
-    'lat',
-    'lon',
-    'gps_accuracy_m',
-    'category',
-    'subcategory',
-    'tags',
-    'title_or_name',
-    'notes',
-    'photo_1_url',
-    'photo_2_url',
-    'photo_3_url',
-    'photo_4_url',
-    'photo_5_url',
-    'contact_name',
-    'contact_phone',
-    'contact_other',
-    'price_item',
-    'price_mvr',
-    'in_stock',
-    'med_item',
-    'med_availability',
-    'med_price_mvr',
-    'insulin_cold_chain',
-    'light_working',
-    'lux_ground',
-    'hazard_type',
-    'access_features',
-    'isp',
-    'down_mbps',
-    'up_mbps',
-    'ping_ms',
-    'data_price_mvr_gb',
-    'sample_type',
-    'ph',
-    'tds_ppm',
-    'smell',
-    'color',
-    'pm25',
-    'pm10',
-    'noise_db',
-    'temp_c',
-    'rh',
-    'project_type',
-    'progress_status',
-    'contractor',
-    'mode',
-    'operator_name',
-    'days_of_week',
-    'submitter_nickname',
-    'consent_confirmed',
-    'ip_hash'
-  ];
+function ensureColumns(sheet, columns) {
+  const lastColumn = sheet.getLastColumn();
+  const headers = lastColumn > 0
+    ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0].map(String)
+    : [];
+  
+  const missing = columns.filter(column => headers.indexOf(column) === -1);
+  if (missing.length === 0) {
+    return headers;
+  }
   
-  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  const headerRange = sheet.getRange(1, headers.length + 1, 1, missing.length);
+  headerRange.setValues([missing]);
   
   // Format header row
-  const headerRange = sheet.getRange(1, 1, 1, headers.length);
   headerRange.setFontWeight('bold');
   headerRange.setBackground('#f0f0f0');
+  
+  console.log(`Added columns: ${missing.join(', ')}`);
+  return headers.concat(missing);
 }
 
 /**
- * Prepare row data in the correct column order
+ * Prepare row data in the sheet's column order
+ * Keys without a column are collected into extra_json instead of being dropped.
  * @param {Object} data - Submission data
+ * @param {Array<string>} headers - The sheet's headers
  * @returns {Array} - Array of values in the correct order
  */
-function prepareRowData(data) {
-  return [
-    data.submission_id || '',
-    data.submitted_at_iso || '',
-    data.app_version || '',
-    data.language || '',
-    data.lat || '',
-    data.lon || '',
-    data.gps_accuracy_m || '',
-    data.category || '',
-    data.subcategory || '',
-    data.tags || '',
-    data.title_or_name || '',
-    data.notes || '',
-    data.photo_1_url || '',
-    data.photo_2_url || '',
-    data.photo_3_url || '',
-    data.photo_4_url || '',
-    data.photo_5_url || '',
-    data.contact_name || '',
-    data.contact_phone || '',
-    data.contact_other || '',
-    data.price_item || '',
-    data.price_mvr || '',
-    data.in_stock || '',
-    data.med_item || '',
-    data.med_availability || '',
-    data.med_price_mvr || '',
-    data.insulin_cold_chain || '',
-    data.light_working || '',
-    data.lux_ground || '',
-    data.hazard_type || '',
-    data.access_features || '',
-    data.isp || '',
-    data.down_mbps || '',
-    data.up_mbps || '',
-    data.ping_ms || '',
-    data.data_price_mvr_gb || '',
-    data.sample_type || '',
-    data.ph || '',
-    data.tds_ppm || '',
-    data.smell || '',
-    data.color || '',
-    data.pm25 || '',
-    data.pm10 || '',
-    data.noise_db || '',
-    data.temp_c || '',
-    data.rh || '',
-    data.project_type || '',
-    data.progress_status || '',
-    data.contractor || '',
-    data.mode || '',
-    data.operator_name || '',
-    data.days_of_week || '',
-    data.submitter_nickname || '',
-    data.consent_confirmed || '',
-    data.ip_hash || ''
-  ];
+function prepareRowData(data, headers) {
+  const extra = {};
+  Object.keys(data).forEach(key => {
+    if (headers.indexOf(key) === -1 && NON_COLUMN_KEYS.indexOf(key) === -1) {
+      extra[key] = data[key];
+    }
+  });
+  
+  return headers.map(header => {
+    if (header === 'extra_json') {
+      return Object.keys(extra).length > 0 ? JSON.stringify(extra) : '';
+    }
+    return toCellValue(data[header]);
+  });
+}
+
+/**
+ * Convert a payload value to something a sheet cell can hold
+ * @param {*} value - Payload value
+ * @returns {*} - Cell value
+ */
+function toCellValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+/**
+ * Load the app's config.json, which declares the columns and form fields.
+ * Cached for ten minutes so most submissions don't fetch it.
+ * @returns {Object|null} - Parsed config, or null if it can't be loaded
+ */
+function loadSchema() {
+  const cache = CacheService.getScriptCache();
+  const cached = cache.get('schema');
+  if (cached) {
+    return JSON.parse(cached);
+  }
+  
+  try {
+    const response = UrlFetchApp.fetch(CONFIG.SCHEMA_URL, { muteHttpExceptions: true });
+    if (response.getResponseCode() !== 200) {
+      console.warn(`Could not load schema from ${CONFIG.SCHEMA_URL}: HTTP ${response.getResponseCode()}`);
+      return null;
+    }
+    const text = response.getContentText();
+    cache.put('schema', text, 600);
+    return JSON.parse(text);
+  } catch (error) {
+    console.warn('Could not load schema:', error);
+    return null;
+  }
+}
+
+/**
+ * List every form field declared in the schema, on categories and subcategories
+ * @param {Object|null} schema - Parsed config.json
+ * @returns {Array<Object>} - Field definitions in declaration order
+ */
+function getSchemaFields(schema) {
+  const fields = [];
+  if (!schema) {
+    return fields;
+  }
+  
+  (schema.categories || []).forEach(category => {
+    fields.push(...(category.fields || []));
+    (category.subcategories || []).forEach(subcategory => {
+      fields.push(...(subcategory.fields || []));
+    });
+  });
+  
+  return fields;
+}
+
+/**
+ * List the single-value form fields declared in the schema
+ * @param {Object|null} schema - Parsed config.json
+ * @returns {Array<string>} - Field names in declaration order, without duplicates
+ */
+function getSchemaFieldNames(schema) {
+  const names = [];
+  
+  getSchemaFields(schema).forEach(field => {
+    // Tables and checklists are sent as composite data, not as one column
+    if (field.type === 'rapid_entry' || field.type === 'checklist') return;
+    if (names.indexOf(field.name) === -1) {
+      names.push(field.name);
+    }
+  });
+  
+  return names;
+}
+
+/**
+ * List the columns of the checklist fields in the schema: one per item,
+ * then a score per section and an overall score
+ * @param {Object|null} schema - Parsed config.json
+ * @returns {Array<string>} - Column names
+ */
+function getChecklistColumns(schema) {
+  const columns = [];
+  
+  getSchemaFields(schema).forEach(field => {
+    if (field.type !== 'checklist') return;
+    
+    const prefix = field.column_prefix || `${field.name}_`;
+    const sections = field.sections || loadChecklistFile(field.source);
+    sections.forEach(section => {
+      const sectionId = toColumnId(section.title);
+      section.items.forEach(item => {
+        columns.push(`${prefix}${sectionId}_${toColumnId(item)}`);
+      });
+      columns.push(`${prefix}score_${sectionId}`);
+    });
+    columns.push(`${prefix}score`);
+  });
+  
+  return columns;
+}
+
+/**
+ * Load a checklist file that sits next to config.json, cached like the schema
+ * @param {string} source - File name, e.g. 'accessibility.txt'
+ * @returns {Array<Object>} - Sections as {title, items}, empty if it can't be loaded
+ */
+function loadChecklistFile(source) {
+  if (!source) {
+    return [];
+  }
+  
+  const cache = CacheService.getScriptCache();
+  const cacheKey = `checklist:${source}`;
+  const cached = cache.get(cacheKey);
+  if (cached) {
+    return parseChecklist(cached);
+  }
+  
+  try {
+    const url = CONFIG.SCHEMA_URL.replace(/[^/]*$/, '') + encodeURI(source);
+    const response = UrlFetchApp.fetch(url, { muteHttpExceptions: true });
+    if (response.getResponseCode() !== 200) {
+      console.warn(`Could not load checklist from ${url}: HTTP ${response.getResponseCode()}`);
+      return [];
+    }
+    const text = response.getContentText();
+    cache.put(cacheKey, text, 600);
+    return parseChecklist(text);
+  } catch (error) {
+    console.warn('Could not load checklist:', error);
+    return [];
+  }
+}
+
+/**
+ * Parse a checklist file: a line on its own starts a section, lines
+ * starting with ☐ are its items, and lines starting with # are comments.
+ * Must match parseChecklist in app.js.
+ * @param {string} text - File contents
+ * @returns {Array<Object>} - Sections as {title, items}
+ */
+function parseChecklist(text) {
+  const sections = [];
+  
+  text.split('\n').map(line => line.trim()).forEach(line => {
+    if (!line || line.charAt(0) === '#') return;
+    
+    if (line.charAt(0) === '☐') {
+      if (sections.length > 0) {
+        sections[sections.length - 1].items.push(line.slice(1).trim());
+      }
+    } else {
+      sections.push({ title: line, items: [] });
+    }
+  });
+  
+  return sections.filter(section => section.items.length > 0);
+}
+
+/**
+ * Turn a label into a column-safe ID, e.g. 'Approach & paths' -> 'approach_paths'.
+ * Must match toColumnId in app.js.
+ * @param {string} text - Label
+ * @returns {string} - Lowercase ID of letters, digits and underscores
+ */
+function toColumnId(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Log a warning when the client built its form from a different schema
+ * version than the one the server is using
+ * @param {Object} data - Submission data
+ * @param {Object|null} schema - Parsed config.json
+ */
+function checkSchemaVersion(data, schema) {
+  if (!schema || data.schema_version === undefined) {
+    return;
+  }
+  
+  if (String(data.schema_version) !== String(schema.schema_version)) {
+    console.warn(`Schema version mismatch for ${data.submission_id}: client ${data.schema_version}, server ${schema.schema_version}`);
+  }
 }
 
 /**
@@ -432,12 +1712,28 @@ function testSetup() {
     let sheet = spreadsheet.getSheetByName(CONFIG.SHEET_NAME);
     if (!sheet) {
       sheet = spreadsheet.insertSheet(CONFIG.SHEET_NAME);
-      addSheetHeaders(sheet);
       console.log('Sheet created: OK');
     } else {
       console.log('Sheet exists: OK');
     }
     
+    // Test schema loading and header creation
+    const schema = loadSchema();
+    console.log(schema ? `Schema version ${schema.schema_version} loaded: OK` : 'Schema could not be loaded - check SCHEMA_URL');
+    ensureColumns(sheet, getSchemaColumns(schema));
+    console.log('Sheet headers: OK');
+    
+    // The island checks only cover islands with an outline or a centroid
+    const islands = loadIslandFeatures(schema);
+    const outlined = islands.filter(feature => feature.geometry).length;
+    const centred = islands.filter(feature => !feature.geometry && Array.isArray(feature.properties.centroid)).length;
+    console.log(`Island outlines: ${outlined} of ${islands.length} islands, ${centred} more with a centroid only` +
+      (outlined === 0 ? ' - off_island and island_mismatch flags are inactive' : ''));
+    
+    // Exports need an admin token
+    const adminToken = PropertiesService.getScriptProperties().getProperty('ADMIN_TOKEN');
+    console.log(adminToken ? 'Admin token for exports: OK' : 'No ADMIN_TOKEN script property - exports are disabled');
+    
     console.log('All tests passed! The script is ready to use.');
     
   } catch (error) {
@@ -0,0 +1,144 @@
+/**
+ * Service worker for the mapping app
+ * Precaches the app shell, config, island list and vendored libraries
+ * so the app opens on islands with no data connection
+ */
+
+// Keep in sync with app_version in config.json - changing it installs a new shell
+const APP_VERSION = '1.3.20';
+const SHELL_CACHE_PREFIX = 'mapping-app-shell-';
+const SHELL_CACHE = `${SHELL_CACHE_PREFIX}${APP_VERSION}`;
+
+const SHELL_FILES = [
+    './',
+    './index.html',
+    './styles.css',
+    './app.js',
+    './config.json',
+    './islandlist.txt',
+    './islands.geojson',
+    './accessibility.txt',
+    './catalogs/catalog.schema.json',
+    './catalogs/price_items.json',
+    './catalogs/meds_availability.json',
+    './i18n/en.json',
+    './i18n/dv.json',
+    './manifest.webmanifest',
+    './icon.svg',
+    './vendor/leaflet/leaflet.css',
+    './vendor/leaflet/leaflet.js',
+    './vendor/leaflet/images/layers.png',
+    './vendor/leaflet/images/layers-2x.png',
+    './vendor/leaflet/images/marker-icon.png',
+    './vendor/leaflet/images/marker-icon-2x.png',
+    './vendor/leaflet/images/marker-shadow.png',
+    './vendor/bootstrap/bootstrap.min.css',
+    './vendor/bootstrap/bootstrap.rtl.min.css',
+    './vendor/bootstrap/bootstrap.bundle.min.js'
+];
+
+// Files that change without a new app version are fetched network-first
+const NETWORK_FIRST_FILES = [
+    './config.json',
+    './islandlist.txt',
+    './islands.geojson',
+    './accessibility.txt',
+    './catalogs/catalog.schema.json',
+    './catalogs/price_items.json',
+    './catalogs/meds_availability.json',
+    './i18n/en.json',
+    './i18n/dv.json'
+];
+
+// Landmark lists are named in config.json, so they are cached on first load
+const NETWORK_FIRST_DIRS = [
+    './landmarks/'
+];
+
+// Give up on a slow connection and serve the cached copy instead
+const NETWORK_TIMEOUT_MS = 4000;
+
+self.addEventListener('install', (event) => {
+    // Do not skip waiting here - the app asks the user before switching versions
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Remove shells from older versions
+    event.waitUntil(
+        caches.keys().then(keys => Promise.all(
+            keys
+                .filter(key => key.startsWith(SHELL_CACHE_PREFIX) && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))
+        )).then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+
+    if (message.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    } else if (message.type === 'GET_VERSION' && event.ports[0]) {
+        event.ports[0].postMessage({ version: APP_VERSION });
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    // Only handle our own files; tiles and the Apps Script endpoint go straight to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match('./index.html').then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    const isNetworkFirst = NETWORK_FIRST_FILES.some(file => url.pathname.endsWith(file.substring(1)))
+        || NETWORK_FIRST_DIRS.some(dir => url.pathname.includes(dir.substring(1)));
+    event.respondWith(isNetworkFirst ? networkFirst(request) : cacheFirst(request));
+});
+
+/**
+ * Serve from the network, updating the cache, and fall back to the cache
+ * when offline or when the network is too slow
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Response>} - Response
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await Promise.race([
+            fetch(request),
+            new Promise((resolve, reject) => {
+                setTimeout(() => reject(new Error('Network timeout')), NETWORK_TIMEOUT_MS);
+            })
+        ]);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Serve from the cache and only go to the network for files not precached
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Response>} - Response
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    return cached || fetch(request);
+}